@@ -4,7 +4,8 @@
 (function () {
   'use strict';
 
-  const KOTN = (window.KOTN = window.KOTN || {});
+  const globalScope = typeof window !== 'undefined' ? window : globalThis;
+  const KOTN = (globalScope.KOTN = globalScope.KOTN || {});
 
   // ============================================================
   // DOM Utilities
@@ -813,132 +814,37 @@
     });
   }
 
-  KOTN.page = {
-    loadInIframe
-  };
+  let submitPasses = null;
 
-  // ============================================================
-// Shelf Scope DSL
-// ============================================================
-
-function normalizeScopePrefix(prefix) {
-  return dom.norm(prefix || '').toUpperCase();
-}
-
-function mergeScopeRules(rules) {
-  const list = Array.isArray(rules) ? rules : [];
-  const byPrefix = new Map();
-  list.forEach(r => {
-    if (!r) return;
-    const p = normalizeScopePrefix(r.prefix);
-    const lo = Number(r.lo);
-    const hi = Number(r.hi);
-    if (!p || !Number.isFinite(lo) || !Number.isFinite(hi)) return;
-    if (!byPrefix.has(p)) byPrefix.set(p, []);
-    byPrefix.get(p).push({ prefix: p, lo: Math.min(lo, hi), hi: Math.max(lo, hi) });
-  });
-  const out = [];
-  byPrefix.forEach(ranges => {
-    ranges.sort((a, b) => a.lo - b.lo || a.hi - b.hi);
-    let cur = null;
-    ranges.forEach(r => {
-      if (!cur) {
-        cur = { prefix: r.prefix, lo: r.lo, hi: r.hi };
-        return;
-      }
-      if (r.lo <= cur.hi + 1) { cur.hi = Math.max(cur.hi, r.hi); } else {
-        out.push(cur); cur = {
-          prefix: r.prefix, lo: r.lo, hi:
-            r.hi
-        };
-      }
-    }); if (cur) out.push(cur);
-  }); return out;
-} function compileShelfScope(text, options = {}) {
-  const
-  raw = dom.norm(text || ''); const implicit = Array.isArray(options.implicitPrefixes) ?
-    options.implicitPrefixes.map(normalizeScopePrefix).filter(Boolean) : []; if (!raw) {
-      return {
-        raw: '', rules: [],
-        errors: [], implicitPrefixes: implicit
-      };
-    } const parts = raw.split(',').map(p => String(p ||
-      '').trim()).filter(Boolean);
-  const rules = [];
-  const errors = [];
-  let lastPrefix = null;
-  function addRule(prefix, a, b) {
-    const p = normalizeScopePrefix(prefix);
-    const lo = Number(a);
-    const hi = Number(b);
-    if (!p || !Number.isFinite(lo) || !Number.isFinite(hi)) return;
-    rules.push({ prefix: p, lo: Math.min(lo, hi), hi: Math.max(lo, hi) });
-  }
-  parts.forEach(tokenRaw => {
-    const token = String(tokenRaw || '').replace(/\\s+/g, '');
-    if (!token) return;
-    let prefix = null;
-    let rangeText = null;
-    const colon = token.match(/^([A-Za-z]+)\\:(.+)$/);
-    if (colon) {
-      prefix = colon[1];
-      rangeText = colon[2];
-    } else {
-      const prefixed = token.match(/^([A-Za-z]+)(\\d+)(?:\\-(\\d+))?$/);
-      if (prefixed) {
-        prefix = prefixed[1];
-        rangeText = prefixed[2] + (prefixed[3] ? '-' + prefixed[3] : '');
-      }
-    }
-    if (prefix) {
-      lastPrefix = normalizeScopePrefix(prefix);
-      const m = String(rangeText || '').match(/^(\\d+)(?:\\-(\\d+))?$/);
-      if (!m) {
-        errors.push('Invalid range: ' + tokenRaw);
-        return;
-      }
-      const a = parseInt(m[1], 10);
-      const b = parseInt(m[2] ? m[2] : m[1], 10);
-      addRule(lastPrefix, a, b);
-      return;
-    }
-    const digitsOnly = token.match(/^(\\d+)(?:\\-(\\d+))?$/);
-    if (digitsOnly) {
-      const a = parseInt(digitsOnly[1], 10);
-      const b = parseInt(digitsOnly[2] ? digitsOnly[2] : digitsOnly[1], 10);
-      const pfxs = lastPrefix ? [lastPrefix] : implicit;
-      if (!pfxs.length) {
-        errors.push('Missing prefix for: ' + tokenRaw);
-        return;
+  function readSubmitPasses() {
+    return submitPasses ? submitPasses.slice() : [];
+  }
+
+  function hasSubmitPass(gate) {
+    return !!submitPasses && submitPasses.includes(gate);
+  }
+
+  function resubmit(gate, passes, trigger, form) {
+    const prev = submitPasses;
+    submitPasses = (passes || []).concat([gate]);
+    try {
+      if (trigger && typeof trigger.click === 'function') {
+        trigger.click();
+      } else if (form) {
+        if (typeof form.requestSubmit === 'function') form.requestSubmit();
+        else form.submit();
       }
-      pfxs.forEach(p => addRule(p, a, b));
-      return;
+    } finally {
+      submitPasses = prev;
     }
-    errors.push('Unrecognized token: ' + tokenRaw);
-  });
-  return { raw, rules: mergeScopeRules(rules), errors, implicitPrefixes: implicit };
-}
-
-function matchShelfNameScope(name, scope) {
-  if (!scope) return true;
-  const compiled = typeof scope === 'string' ? compileShelfScope(scope) : scope;
-  if (!compiled || !compiled.rules || !compiled.rules.length) return true;
-  const parts = parseShelfName(name);
-  if (!parts || parts.number == null) return false;
-  const prefix = normalizeScopePrefix(parts.prefix);
-  const n = Number(parts.number);
-  if (!prefix || !Number.isFinite(n)) return false;
-  const rules = compiled.rules;
-  for (let i = 0; i < rules.length; i += 1) {
-    const r = rules[i]; if (r.prefix !== prefix) continue; if (n >= r.lo && n <=
-      r.hi) return true;
-  } return false;
-} function filterShelfNamesByScope(names, scope) {
-  const
-  list = Array.isArray(names) ? names : []; if (!scope) return list.slice(); const compiled = typeof scope === 'string' ?
-    compileShelfScope(scope) : scope; if (!compiled || !compiled.rules || !compiled.rules.length) return list.slice();
-  return list.filter(n => matchShelfNameScope(n, compiled));
-}
+  }
+
+  KOTN.page = {
+    loadInIframe,
+    submitPasses: readSubmitPasses,
+    hasSubmitPass,
+    resubmit
+  };
 
   // ============================================================
   // Auth Helpers
@@ -1232,12 +1138,74 @@ function matchShelfNameScope(name, scope) {
     return map;
   }
 
+  const shelfIndexStore = createStore({ name: 'shelf-index', scope: 'local' });
+  const shelfIndexTtlMs = 10 * 60 * 1000;
+  const shelfIndexPersistMs = 1000;
   let shelfIndexCache = null;
+  let shelfIndexPersistTimer = null;
+
+  function buildShelfRecordIds(items) {
+    const byId = new Map();
+    items.forEach(o => {
+      const record = readShelfRecord(o);
+      if (record) byId.set(record.id, o);
+    });
+    return byId;
+  }
+
+  function buildShelfIndexCache(items, url, fetchedAt) {
+    return {
+      items,
+      index: buildShelfIndexFromArray(items),
+      byId: buildShelfRecordIds(items),
+      url,
+      fetchedAt
+    };
+  }
+
+  function shelfIndexIsFresh(cache, url, ttlMs) {
+    return !!cache && cache.url === url && Date.now() - cache.fetchedAt < ttlMs;
+  }
+
+  function cancelPersistShelfIndex() {
+    if (shelfIndexPersistTimer != null) {
+      clearTimeout(shelfIndexPersistTimer);
+      shelfIndexPersistTimer = null;
+    }
+  }
+
+  function persistShelfIndex() {
+    cancelPersistShelfIndex();
+    if (!shelfIndexCache) return;
+    shelfIndexStore.set('cache', {
+      url: shelfIndexCache.url,
+      fetchedAt: shelfIndexCache.fetchedAt,
+      items: shelfIndexCache.items
+    });
+  }
+
+  function schedulePersistShelfIndex() {
+    if (shelfIndexPersistTimer != null) return;
+    shelfIndexPersistTimer = setTimeout(persistShelfIndex, shelfIndexPersistMs);
+  }
+
+  function invalidateShelfIndex() {
+    cancelPersistShelfIndex();
+    shelfIndexCache = null;
+    shelfIndexStore.remove('cache');
+  }
 
   async function loadShelfIndex(options = {}) {
     const url = options.url || '/management/shelves/get-index-data?order_by=name';
     const force = !!options.force;
-    if (shelfIndexCache && !force) {
+    const ttlMs = options.ttlMs == null ? shelfIndexTtlMs : options.ttlMs;
+    if (!force && shelfIndexIsFresh(shelfIndexCache, url, ttlMs)) {
+      return shelfIndexCache;
+    }
+    const stored = shelfIndexStore.get('cache', null);
+    const storedItems = stored && Array.isArray(stored.items) ? stored.items : null;
+    if (!force && storedItems && shelfIndexIsFresh(stored, url, ttlMs)) {
+      shelfIndexCache = buildShelfIndexCache(storedItems, url, stored.fetchedAt);
       return shelfIndexCache;
     }
     let json;
@@ -1250,6 +1218,11 @@ function matchShelfNameScope(name, scope) {
       console.warn('[KOTN shelves] loadShelfIndex failed', err);
       json = null;
     }
+    if (json == null && storedItems && stored.url === url) {
+      console.warn('[KOTN shelves] using stale shelf index from ' + new Date(stored.fetchedAt).toISOString());
+      shelfIndexCache = buildShelfIndexCache(storedItems, url, stored.fetchedAt);
+      return shelfIndexCache;
+    }
     let arr;
     if (Array.isArray(json)) {
       arr = json;
@@ -1258,8 +1231,8 @@ function matchShelfNameScope(name, scope) {
     } else {
       arr = [];
     }
-    const index = buildShelfIndexFromArray(arr);
-    shelfIndexCache = { items: arr, index };
+    shelfIndexCache = buildShelfIndexCache(arr, url, Date.now());
+    if (json != null) persistShelfIndex();
     return shelfIndexCache;
   }
 
@@ -1271,10 +1244,114 @@ function matchShelfNameScope(name, scope) {
     return value == null ? null : String(value);
   }
 
-  async function patchShelf(id, body) {
+  const shelfRecordIds = new WeakMap();
+
+  function readShelfRecordIds(source) {
+    if (source.byId instanceof Map) return source.byId;
+    let byId = shelfRecordIds.get(source);
+    if (byId) return byId;
+    byId = buildShelfRecordIds(source.items);
+    shelfRecordIds.set(source, byId);
+    return byId;
+  }
+
+  function getShelfRecordById(source, id) {
+    if (id == null || !source) return null;
+    if (!(source.byId instanceof Map) && !Array.isArray(source.items)) return null;
+    return readShelfRecordIds(source).get(String(id)) || null;
+  }
+
+  function getShelfNameById(source, id) {
+    const record = readShelfRecord(getShelfRecordById(source, id));
+    return record ? record.name : null;
+  }
+
+  function canonicalShelfKey(name) {
+    const compact = String(name || '').toUpperCase().replace(/[\s\-_./]+/g, '');
+    const m = compact.match(/^([A-Z]+)0*(\d+)([A-Z]*)$/);
+    return m ? m[1] + m[2] + m[3] : compact;
+  }
+
+  function editDistance(a, b) {
+    if (a === b) return 0;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i += 1) {
+      const cur = [i];
+      for (let j = 1; j <= b.length; j += 1) {
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1));
+      }
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  const shelfFuzzyKeys = new WeakMap();
+
+  function readShelfFuzzyKeys(source) {
+    let keys = shelfFuzzyKeys.get(source);
+    if (keys) return keys;
+    keys = new Map();
+    (source.items || []).forEach(o => {
+      const record = readShelfRecord(o);
+      if (!record) return;
+      const key = canonicalShelfKey(record.name);
+      if (!keys.has(key)) keys.set(key, []);
+      keys.get(key).push(record);
+    });
+    shelfFuzzyKeys.set(source, keys);
+    return keys;
+  }
+
+  function resolveShelfName(source, input, options = {}) {
+    const limit = options.limit == null ? 5 : options.limit;
+    const text = dom.norm(input || '');
+    const result = { input: text, name: null, id: null, record: null, exact: false, ambiguous: false, suggestions: [] };
+    if (!text || !source || !Array.isArray(source.items)) return result;
+    const exactId = getShelfIdByName(source, text);
+    if (exactId) {
+      result.id = exactId;
+      result.record = getShelfRecordById(source, exactId);
+      result.name = getShelfNameById(source, exactId) || normalizeShelfName(text);
+      result.exact = true;
+      return result;
+    }
+    const keys = readShelfFuzzyKeys(source);
+    const key = canonicalShelfKey(text);
+    const hits = keys.get(key) || [];
+    if (hits.length === 1) {
+      result.id = hits[0].id;
+      result.name = hits[0].name;
+      result.record = getShelfRecordById(source, hits[0].id);
+      return result;
+    }
+    if (hits.length > 1) {
+      result.ambiguous = true;
+      result.suggestions = hits.slice(0, limit).map(r => ({ name: r.name, id: r.id, distance: 0 }));
+      return result;
+    }
+    const wanted = key.match(/^([A-Z]+)(\d+)/);
+    const maxDistance = options.maxDistance == null ? Math.max(1, Math.floor(key.length / 3)) : options.maxDistance;
+    const scored = [];
+    keys.forEach((records, candidate) => {
+      const distance = editDistance(key, candidate);
+      if (distance >= key.length) return;
+      const near = wanted ? candidate.match(/^([A-Z]+)(\d+)/) : null;
+      const gap = near && near[1] === wanted[1] ? Math.abs(Number(near[2]) - Number(wanted[2])) : Infinity;
+      if (distance > maxDistance && gap > 2) return;
+      records.forEach(r => scored.push({ name: r.name, id: r.id, distance, gap }));
+    });
+    scored.sort((a, b) => a.distance - b.distance || a.gap - b.gap || a.name.localeCompare(b.name, undefined, { numeric: true }));
+    result.suggestions = scored.slice(0, limit).map(s => ({ name: s.name, id: s.id, distance: s.distance }));
+    return result;
+  }
+
+  async function patchShelf(id, body, journal = {}) {
     if (id == null) {
       throw new Error('patchShelf requires id');
     }
+    const fields = Object.assign({}, body || {});
+    const fresh = journal.prev !== undefined || await loadFreshShelfIndex(journal.batchId);
+    const prev = journal.prev !== undefined ? journal.prev : (fresh ? readCachedShelfFields(id, Object.keys(fields)) : null);
     const url = '/management/shelves/' + encodeURIComponent(String(id));
     const init = {
       method: 'PATCH',
@@ -1282,33 +1359,573 @@ function matchShelfNameScope(name, scope) {
       headers: {
         'Content-Type': 'application/json;charset=UTF-8'
       },
-      body: JSON.stringify(body || {})
+      body: JSON.stringify(fields)
     };
-    return csrfFetch(url, init);
+    const res = await csrfFetch(url, init);
+    updateCachedShelf(id, item => Object.assign(item, fields));
+    await recordShelfChange(Object.assign({}, journal, {
+      op: journal.op || 'patch',
+      shelfId: id,
+      prev,
+      next: fields
+    }));
+    return res;
   }
 
-  async function assignShelfTeam(id, teamCode) {
-    return patchShelf(id, { team_assigned: teamCode });
+  async function assignShelfTeam(id, teamCode, journal = {}) {
+    return patchShelf(id, { team_assigned: teamCode }, Object.assign({ op: 'assignTeam' }, journal));
   }
 
-  async function clearShelfTeam(id) {
-    return patchShelf(id, { team_assigned: null });
+  async function clearShelfTeam(id, journal = {}) {
+    return patchShelf(id, { team_assigned: null }, Object.assign({ op: 'clearTeam' }, journal));
   }
 
-  async function assignShelfStaff(id, staffId) {
-    const url = '/management/shelves/' + encodeURIComponent(String(id)) + '/assign/' + encodeURIComponent(String(staffId));
-    return csrfFetch(url, {
+  async function postShelfStaff(action, id, staffId, journal) {
+    if (id == null || staffId == null) {
+      throw new Error('postShelfStaff requires id and staffId');
+    }
+    const assigned = action === 'assign';
+    const fresh = journal.prev !== undefined || await loadFreshShelfIndex(journal.batchId);
+    const prev = journal.prev !== undefined ? journal.prev : { assigned: fresh ? readCachedShelfHasStaff(id, staffId) : null };
+    const url = '/management/shelves/' + encodeURIComponent(String(id)) + '/' + action + '/' + encodeURIComponent(String(staffId));
+    const res = await csrfFetch(url, {
       method: 'POST',
       credentials: 'same-origin'
     });
+    updateCachedShelf(id, item => setCachedShelfStaff(item, staffId, assigned));
+    await recordShelfChange(Object.assign({}, journal, {
+      op: assigned ? 'assignStaff' : 'removeStaff',
+      shelfId: id,
+      staffId,
+      prev,
+      next: { assigned }
+    }));
+    return res;
   }
 
-  async function removeShelfStaff(id, staffId) {
-    const url = '/management/shelves/' + encodeURIComponent(String(id)) + '/remove/' + encodeURIComponent(String(staffId));
-    return csrfFetch(url, {
-      method: 'POST',
-      credentials: 'same-origin'
+  async function assignShelfStaff(id, staffId, journal = {}) {
+    return postShelfStaff('assign', id, staffId, journal);
+  }
+
+  async function removeShelfStaff(id, staffId, journal = {}) {
+    return postShelfStaff('remove', id, staffId, journal);
+  }
+
+  let shelfFreshIndex = null;
+
+  function loadFreshShelfIndex(batchId) {
+    if (!batchId || !shelfFreshIndex || shelfFreshIndex.batchId !== batchId) {
+      const since = Date.now();
+      shelfFreshIndex = { batchId, promise: loadShelfIndex({ force: true }).then(cache => cache.fetchedAt >= since) };
+    }
+    return shelfFreshIndex.promise;
+  }
+
+  function findCachedShelfItem(id) {
+    return shelfIndexCache ? getShelfRecordById(shelfIndexCache, id) : null;
+  }
+
+  function updateCachedShelf(id, fn) {
+    const item = findCachedShelfItem(id);
+    if (!item) return;
+    fn(item);
+    schedulePersistShelfIndex();
+  }
+
+  function readCachedShelfFields(id, keys) {
+    const item = findCachedShelfItem(id);
+    if (!item) return null;
+    const prev = {};
+    for (const k of keys) {
+      const value = k === 'team_assigned' ? readShelfRecordTeam(item) : item[k];
+      if (value === undefined) return null;
+      prev[k] = value;
+    }
+    return prev;
+  }
+
+  function readCachedShelfHasStaff(id, staffId) {
+    const item = findCachedShelfItem(id);
+    const staff = item ? readShelfRecordStaff(item) : null;
+    return staff ? staff.includes(String(staffId)) : null;
+  }
+
+  function setCachedShelfStaff(item, staffId, assigned) {
+    const key = ['staff', 'assigned_staff', 'users', 'assigned_users'].find(k => Array.isArray(item[k]));
+    if (!key) return;
+    const sid = String(staffId);
+    const rest = item[key].filter(s => String(s && typeof s === 'object' ? (s.id != null ? s.id : (s.user_id != null ? s.user_id : s.staff_id)) : s) !== sid);
+    item[key] = assigned ? rest.concat([{ id: Number(sid) || sid }]) : rest;
+  }
+
+  // ============================================================
+  // Shelf Undo Journal
+  // ============================================================
+
+  const shelfJournalStore = createStore({ name: 'shelf-journal', scope: 'local' });
+  const shelfJournalMax = 2000;
+  let shelfJournalUser = null;
+
+  function newShelfJournalId(prefix) {
+    return prefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  function readShelfJournal() {
+    const list = shelfJournalStore.get('entries', []);
+    return Array.isArray(list) ? list : [];
+  }
+
+  function writeShelfJournal(list) {
+    shelfJournalStore.set('entries', list.length > shelfJournalMax ? list.slice(list.length - shelfJournalMax) : list);
+  }
+
+  function readShelfJournalUser() {
+    if (!shelfJournalUser) {
+      shelfJournalUser = getAuthProfile()
+        .then(profile => (profile ? { id: profile.id, username: profile.username } : null))
+        .catch(err => {
+          console.warn('[KOTN shelves] could not read journal user', err);
+          shelfJournalUser = null;
+          return null;
+        });
+    }
+    return shelfJournalUser;
+  }
+
+  async function recordShelfChange(change) {
+    const user = change.user !== undefined ? change.user : await readShelfJournalUser();
+    const entry = {
+      id: newShelfJournalId('j'),
+      batchId: change.batchId || newShelfJournalId('b'),
+      batchLabel: change.batchLabel || null,
+      ts: new Date().toISOString(),
+      user,
+      op: change.op,
+      shelfId: String(change.shelfId),
+      shelfName: change.shelfName || null,
+      staffId: change.staffId == null ? null : String(change.staffId),
+      prev: change.prev == null ? null : change.prev,
+      next: change.next,
+      undoOf: change.undoOf || null,
+      undoneBy: null
+    };
+    entry.undoable = !shelfJournalInverse(entry).error;
+    const list = readShelfJournal();
+    list.push(entry);
+    writeShelfJournal(list);
+    return entry;
+  }
+
+  function listShelfJournal(options = {}) {
+    let list = readShelfJournal();
+    if (options.batchId) list = list.filter(e => e.batchId === options.batchId);
+    if (options.shelfId != null) list = list.filter(e => e.shelfId === String(options.shelfId));
+    list = list.slice().reverse();
+    return options.limit ? list.slice(0, options.limit) : list;
+  }
+
+  function listShelfJournalBatches() {
+    const batches = new Map();
+    readShelfJournal().forEach(e => {
+      let batch = batches.get(e.batchId);
+      if (!batch) {
+        batch = { batchId: e.batchId, label: e.batchLabel, user: e.user, started: e.ts, ended: e.ts, entries: 0, undoable: 0, undone: 0, isUndo: true };
+        batches.set(e.batchId, batch);
+      }
+      batch.ended = e.ts;
+      batch.entries += 1;
+      if (e.undoable !== false) batch.undoable += 1;
+      if (e.undoneBy) batch.undone += 1;
+      if (!e.undoOf) batch.isUndo = false;
+    });
+    return Array.from(batches.values()).reverse();
+  }
+
+  async function withShelfBatch(label, fn) {
+    const user = await readShelfJournalUser();
+    return fn({ batchId: newShelfJournalId('b'), batchLabel: label || null, user });
+  }
+
+  function shelfJournalInverse(entry) {
+    if (entry.op === 'assignStaff' || entry.op === 'removeStaff') {
+      const assigned = entry.prev ? entry.prev.assigned : null;
+      if (typeof assigned !== 'boolean') {
+        return { error: 'previous staff state was not recorded' };
+      }
+      if (entry.op === 'assignStaff') {
+        return assigned ? { skip: 'staff was already assigned' } : { op: 'removeStaff' };
+      }
+      return assigned ? { op: 'assignStaff' } : { skip: 'staff was not assigned' };
+    }
+    const keys = Object.keys(entry.next || {});
+    if (!entry.prev || typeof entry.prev !== 'object' || keys.some(k => entry.prev[k] === undefined)) {
+      return { error: 'previous state was not recorded' };
+    }
+    return { op: 'patch', body: entry.prev };
+  }
+
+  async function undoShelfEntries(entryIds, options = {}) {
+    const ids = new Set((Array.isArray(entryIds) ? entryIds : [entryIds]).map(String));
+    const targets = readShelfJournal().filter(e => ids.has(e.id) && !e.undoneBy).reverse();
+    const batch = { batchId: newShelfJournalId('b'), batchLabel: options.label || 'undo', user: await readShelfJournalUser() };
+    const results = [];
+    for (const entry of targets) {
+      const inverse = shelfJournalInverse(entry);
+      const result = { entryId: entry.id, shelfId: entry.shelfId, op: entry.op, ok: false, skipped: false, error: null };
+      if (inverse.error) {
+        result.error = inverse.error;
+      } else {
+        const journal = Object.assign({ undoOf: entry.id, shelfName: entry.shelfName }, batch);
+        try {
+          if (inverse.skip) {
+            result.skipped = inverse.skip;
+          } else if (inverse.op === 'patch') {
+            await patchShelf(entry.shelfId, inverse.body, Object.assign({ prev: entry.next }, journal));
+          } else if (inverse.op === 'assignStaff') {
+            await assignShelfStaff(entry.shelfId, entry.staffId, Object.assign({ prev: { assigned: false } }, journal));
+          } else {
+            await removeShelfStaff(entry.shelfId, entry.staffId, Object.assign({ prev: { assigned: true } }, journal));
+          }
+          result.ok = true;
+        } catch (err) {
+          result.error = err && err.message ? err.message : String(err);
+        }
+      }
+      if (result.ok) markShelfEntryUndone(entry.id, batch.batchId);
+      results.push(result);
+      if (options.onResult) options.onResult(result, entry);
+    }
+    return {
+      batchId: batch.batchId,
+      total: results.length,
+      ok: results.filter(r => r.ok).length,
+      failed: results.filter(r => !r.ok).length,
+      results
+    };
+  }
+
+  function markShelfEntryUndone(entryId, batchId) {
+    const list = readShelfJournal();
+    const entry = list.find(e => e.id === entryId);
+    if (!entry) return;
+    entry.undoneBy = batchId;
+    writeShelfJournal(list);
+  }
+
+  async function undoLastShelfBatch(options = {}) {
+    const batch = listShelfJournalBatches().find(b => !b.isUndo && b.undone < b.undoable);
+    if (!batch) {
+      return { batchId: null, total: 0, ok: 0, failed: 0, results: [] };
+    }
+    const ids = readShelfJournal().filter(e => e.batchId === batch.batchId && e.undoable !== false).map(e => e.id);
+    return undoShelfEntries(ids, Object.assign({ label: 'undo ' + (batch.label || batch.batchId) }, options));
+  }
+
+  function describeShelfJournalEntry(entry) {
+    const name = entry.shelfName || ('#' + entry.shelfId);
+    const who = entry.user ? (entry.user.username || entry.user.id) : '?';
+    let what;
+    if (entry.op === 'assignStaff' || entry.op === 'removeStaff') {
+      what = (entry.op === 'assignStaff' ? '+staff ' : '-staff ') + entry.staffId;
+    } else {
+      what = Object.keys(entry.next || {}).map(k => k + ' ' + JSON.stringify(entry.prev ? entry.prev[k] : undefined) + ' → ' + JSON.stringify(entry.next[k])).join(', ');
+    }
+    return entry.ts.slice(0, 19).replace('T', ' ') + ' ' + who + ' ' + name + ': ' + what + (entry.undoOf ? ' (undo)' : '') + (entry.undoneBy ? ' [undone]' : '') + (entry.undoable === false ? ' [no undo]' : '');
+  }
+
+  function openShelfJournal(options = {}) {
+    const ui = createPanel({
+      id: 'shelf-journal',
+      title: 'Shelf Change Journal'
+    });
+    const limit = options.limit || 200;
+    const list = dom.create('div', { style: { fontFamily: 'monospace', margin: '4px 0' } });
+    const undoLastBtn = dom.create('button', { type: 'button', textContent: 'Undo last batch' });
+    const undoSelBtn = dom.create('button', { type: 'button', textContent: 'Undo selected', style: { marginLeft: '4px' } });
+    const status = dom.create('div', { style: { margin: '4px 0', color: '#aaa' } });
+    [dom.create('div', {}, [undoLastBtn, undoSelBtn]), status, list].forEach(el => ui.body.appendChild(el));
+
+    function render() {
+      list.textContent = '';
+      let lastBatch = null;
+      listShelfJournal({ limit }).forEach(entry => {
+        if (entry.batchId !== lastBatch) {
+          lastBatch = entry.batchId;
+          list.appendChild(dom.create('div', { textContent: '— ' + (entry.batchLabel || entry.batchId), style: { color: '#aaa', marginTop: '4px' } }));
+        }
+        const box = dom.create('input', { type: 'checkbox', disabled: !!entry.undoneBy || entry.undoable === false });
+        box.dataset.entryId = entry.id;
+        list.appendChild(dom.create('label', { style: { display: 'block', whiteSpace: 'nowrap' } }, [box, document.createTextNode(' ' + describeShelfJournalEntry(entry))]));
+      });
+      if (!list.firstChild) list.textContent = 'No shelf changes recorded yet.';
+    }
+
+    async function run(fn) {
+      undoLastBtn.disabled = true;
+      undoSelBtn.disabled = true;
+      status.textContent = 'Undoing…';
+      try {
+        const result = await fn();
+        status.textContent = 'Undo: ' + result.ok + ' ok, ' + result.failed + ' failed' + result.results.filter(r => r.error).map(r => '\n#' + r.shelfId + ': ' + r.error).join('');
+      } catch (err) {
+        status.textContent = 'Undo failed: ' + (err && err.message ? err.message : String(err));
+      } finally {
+        undoLastBtn.disabled = false;
+        undoSelBtn.disabled = false;
+        render();
+      }
+    }
+
+    undoLastBtn.addEventListener('click', () => {
+      const batch = listShelfJournalBatches().find(b => !b.isUndo && b.undone < b.undoable);
+      if (!batch || !window.confirm('Undo ' + (batch.undoable - batch.undone) + ' change(s) from "' + (batch.label || batch.batchId) + '"?')) return;
+      run(() => undoLastShelfBatch());
+    });
+    undoSelBtn.addEventListener('click', () => {
+      const ids = dom.qsa('input[type="checkbox"]', list).filter(b => b.checked).map(b => b.dataset.entryId);
+      if (!ids.length || !window.confirm('Undo ' + ids.length + ' selected change(s)?')) return;
+      run(() => undoShelfEntries(ids));
+    });
+    render();
+    return ui;
+  }
+
+  // ============================================================
+  // Shelf Scope DSL
+  // ============================================================
+
+  function normalizeScopePrefix(prefix) {
+    return dom.norm(prefix || '').toUpperCase();
+  }
+
+  function compareSuffix(a, b) {
+    return a.length - b.length || (a < b ? -1 : (a > b ? 1 : 0));
+  }
+
+  function mergeScopeRules(rules) {
+    const list = Array.isArray(rules) ? rules : [];
+    const byPrefix = new Map();
+    const wildcards = new Set();
+    const suffixed = new Map();
+    list.forEach(r => {
+      if (!r) return;
+      const p = normalizeScopePrefix(r.prefix);
+      if (!p) return;
+      if (r.wildcard) {
+        wildcards.add(p);
+        return;
+      }
+      const lo = Number(r.lo);
+      const hi = Number(r.hi);
+      if (!Number.isFinite(lo) || !Number.isFinite(hi)) return;
+      if (r.suffixFrom) {
+        const from = String(r.suffixFrom).toUpperCase();
+        const to = String(r.suffixTo || r.suffixFrom).toUpperCase();
+        const rule = { prefix: p, lo: Math.min(lo, hi), hi: Math.max(lo, hi), suffixFrom: from, suffixTo: to };
+        if (compareSuffix(from, to) > 0) {
+          rule.suffixFrom = to;
+          rule.suffixTo = from;
+        }
+        suffixed.set(p + rule.lo + '-' + rule.hi + rule.suffixFrom + '-' + rule.suffixTo, rule);
+        return;
+      }
+      if (!byPrefix.has(p)) byPrefix.set(p, []);
+      byPrefix.get(p).push({ prefix: p, lo: Math.min(lo, hi), hi: Math.max(lo, hi) });
+    });
+    const out = [];
+    wildcards.forEach(p => {
+      out.push({ prefix: p, lo: 0, hi: Infinity, wildcard: true });
+    });
+    byPrefix.forEach((ranges, p) => {
+      if (wildcards.has(p)) return;
+      ranges.sort((a, b) => a.lo - b.lo || a.hi - b.hi);
+      let cur = null;
+      ranges.forEach(r => {
+        if (!cur) {
+          cur = { prefix: r.prefix, lo: r.lo, hi: r.hi };
+          return;
+        }
+        if (r.lo <= cur.hi + 1) {
+          cur.hi = Math.max(cur.hi, r.hi);
+        } else {
+          out.push(cur);
+          cur = { prefix: r.prefix, lo: r.lo, hi: r.hi };
+        }
+      });
+      if (cur) out.push(cur);
+    });
+    suffixed.forEach(rule => {
+      if (wildcards.has(rule.prefix)) return;
+      const covered = out.some(r => r.prefix === rule.prefix && !r.suffixFrom && r.lo <= rule.lo && r.hi >= rule.hi);
+      if (!covered) out.push(rule);
+    });
+    return out.sort((a, b) => a.prefix.localeCompare(b.prefix) || a.lo - b.lo || compareSuffix(a.suffixFrom || '', b.suffixFrom || ''));
+  }
+
+  function parseScopeRange(text) {
+    const value = String(text || '');
+    if (value === '*') {
+      return { wildcard: true };
+    }
+    const plain = value.match(/^(\d+)(?:-(\d+))?$/);
+    if (plain) {
+      const a = parseInt(plain[1], 10);
+      const b = parseInt(plain[2] ? plain[2] : plain[1], 10);
+      return { lo: a, hi: b };
+    }
+    const suffixed = value.match(/^(\d+)([A-Za-z]+)(?:-([A-Za-z]+))?$/);
+    if (suffixed) {
+      const n = parseInt(suffixed[1], 10);
+      return { lo: n, hi: n, suffixFrom: suffixed[2], suffixTo: suffixed[3] || suffixed[2] };
+    }
+    return null;
+  }
+
+  function compileShelfScope(text, options = {}) {
+    const raw = dom.norm(text || '');
+    const implicit = Array.isArray(options.implicitPrefixes)
+      ? options.implicitPrefixes.map(normalizeScopePrefix).filter(Boolean)
+      : [];
+    if (!raw) {
+      return {
+        raw: '',
+        rules: [],
+        exclusions: [],
+        errors: [],
+        implicitPrefixes: implicit
+      };
+    }
+    const parts = raw.split(',').map(p => String(p || '').trim()).filter(Boolean);
+    const rules = [];
+    const exclusions = [];
+    const errors = [];
+    let lastPrefix = null;
+    function addRule(target, prefix, range) {
+      const p = normalizeScopePrefix(prefix);
+      if (!p) return;
+      target.push(Object.assign({ prefix: p }, range));
+    }
+    parts.forEach(tokenRaw => {
+      let token = String(tokenRaw || '').replace(/\s+/g, '');
+      if (!token) return;
+      let target = rules;
+      if (token.charAt(0) === '!') {
+        target = exclusions;
+        token = token.slice(1);
+      }
+      let prefix = null;
+      let rangeText = null;
+      const colon = token.match(/^([A-Za-z]+):(.+)$/);
+      if (colon) {
+        prefix = colon[1];
+        rangeText = colon[2];
+      } else {
+        const prefixed = token.match(/^([A-Za-z]+)(\d.*|\*)$/);
+        if (prefixed) {
+          prefix = prefixed[1];
+          rangeText = prefixed[2];
+        }
+      }
+      if (prefix) {
+        lastPrefix = normalizeScopePrefix(prefix);
+        const range = parseScopeRange(rangeText);
+        if (!range) {
+          errors.push('Invalid range: ' + tokenRaw);
+          return;
+        }
+        addRule(target, lastPrefix, range);
+        return;
+      }
+      if (/^\d/.test(token)) {
+        const range = parseScopeRange(token);
+        if (!range) {
+          errors.push('Invalid range: ' + tokenRaw);
+          return;
+        }
+        const pfxs = lastPrefix ? [lastPrefix] : implicit;
+        if (!pfxs.length) {
+          errors.push('Missing prefix for: ' + tokenRaw);
+          return;
+        }
+        pfxs.forEach(p => addRule(target, p, range));
+        return;
+      }
+      errors.push('Unrecognized token: ' + tokenRaw);
+    });
+    return {
+      raw,
+      rules: mergeScopeRules(rules),
+      exclusions: mergeScopeRules(exclusions),
+      errors,
+      implicitPrefixes: implicit
+    };
+  }
+
+  function scopeRuleMatches(rule, prefix, n, suffix) {
+    if (rule.prefix !== prefix) return false;
+    if (rule.wildcard) return true;
+    if (n < rule.lo || n > rule.hi) return false;
+    if (rule.suffixFrom) {
+      if (!suffix) return false;
+      return compareSuffix(suffix, rule.suffixFrom) >= 0 && compareSuffix(suffix, rule.suffixTo || rule.suffixFrom) <= 0;
+    }
+    return true;
+  }
+
+  function scopeIsEmpty(compiled) {
+    return !compiled || ((!compiled.rules || !compiled.rules.length) && (!compiled.exclusions || !compiled.exclusions.length));
+  }
+
+  function matchShelfNameScope(name, scope) {
+    if (!scope) return true;
+    const compiled = typeof scope === 'string' ? compileShelfScope(scope) : scope;
+    if (scopeIsEmpty(compiled)) return true;
+    const parts = parseShelfName(name);
+    if (!parts || parts.number == null) return false;
+    const prefix = normalizeScopePrefix(parts.prefix);
+    const n = Number(parts.number);
+    const suffix = String(parts.suffix || '').toUpperCase();
+    if (!prefix || !Number.isFinite(n)) return false;
+    const rules = compiled.rules || [];
+    const exclusions = compiled.exclusions || [];
+    if (rules.length && !rules.some(r => scopeRuleMatches(r, prefix, n, suffix))) return false;
+    return !exclusions.some(r => scopeRuleMatches(r, prefix, n, suffix));
+  }
+
+  function filterShelfNamesByScope(names, scope) {
+    const list = Array.isArray(names) ? names : [];
+    if (!scope) return list.slice();
+    const compiled = typeof scope === 'string' ? compileShelfScope(scope) : scope;
+    if (scopeIsEmpty(compiled)) return list.slice();
+    return list.filter(n => matchShelfNameScope(n, compiled));
+  }
+
+  function stringifyScopeRules(rules, negate) {
+    const tokens = [];
+    let lastPrefix = null;
+    (Array.isArray(rules) ? rules : []).forEach(r => {
+      let body;
+      if (r.wildcard) {
+        body = '*';
+      } else {
+        body = String(r.lo) + (r.hi !== r.lo ? '-' + r.hi : '');
+        if (r.suffixFrom) {
+          body += r.suffixFrom + (r.suffixTo && r.suffixTo !== r.suffixFrom ? '-' + r.suffixTo : '');
+        }
+      }
+      const samePrefix = !negate && !r.wildcard && r.prefix === lastPrefix;
+      tokens.push((negate ? '!' : '') + (samePrefix ? '' : r.prefix) + body);
+      lastPrefix = r.wildcard ? null : r.prefix;
     });
+    return tokens;
+  }
+
+  function stringifyShelfScope(scope) {
+    const compiled = typeof scope === 'string' ? compileShelfScope(scope) : scope;
+    if (!compiled) return '';
+    return stringifyScopeRules(compiled.rules, false)
+      .concat(stringifyScopeRules(compiled.exclusions, true))
+      .join(',');
   }
 
   // ============================================================
@@ -1456,34 +2073,646 @@ function matchShelfNameScope(name, scope) {
     return list.filter(row => matchShelfRow(row, options));
   }
 
-  KOTN.shelves = {
-    normalizeName: normalizeShelfName,
-    parseName: parseShelfName,
-    buildIndexFromArray: buildShelfIndexFromArray,
-    loadIndex: loadShelfIndex,
-    getIdByName: getShelfIdByName,
-    assignTeam: assignShelfTeam,
-    clearTeam: clearShelfTeam,
-    assignStaff: assignShelfStaff,
-    removeStaff: removeShelfStaff,
-    matchRow: matchShelfRow,
-    filterRows: filterShelfRows
-  };
-
   // ============================================================
-  // Prompt Helpers
+  // Shelf Assignment Planner
   // ============================================================
 
-  function getScriptWindow() {
-    try {
-      return typeof unsafeWindow === 'undefined' ? window : unsafeWindow;
-    } catch (err) {
-      return window;
+  const shelfPlanActions = ['assignTeam', 'clearTeam', 'assignStaff', 'removeStaff'];
+
+  function readShelfRecordTeam(o) {
+    const raw = o.team_assigned !== undefined ? o.team_assigned : (o.team !== undefined ? o.team : o.team_code);
+    if (raw === undefined) return undefined;
+    if (raw == null || raw === '') return null;
+    if (typeof raw === 'object') {
+      const code = raw.code || raw.team_code || raw.name || null;
+      return code == null ? null : String(code);
     }
+    return String(raw);
   }
 
-  function ensurePromptPatched() {
-    const w = getScriptWindow();
+  function readShelfRecordStaff(o) {
+    const raw = o.staff !== undefined ? o.staff
+      : (o.assigned_staff !== undefined ? o.assigned_staff
+        : (o.users !== undefined ? o.users : o.assigned_users));
+    if (raw === undefined) return null;
+    const list = Array.isArray(raw) ? raw : (raw == null ? [] : [raw]);
+    return list.map(s => {
+      if (s == null) return null;
+      if (typeof s === 'object') {
+        const id = s.id != null ? s.id : (s.user_id != null ? s.user_id : s.staff_id);
+        return id == null ? null : String(id);
+      }
+      return String(s);
+    }).filter(Boolean);
+  }
+
+  function readShelfRecord(o) {
+    if (!o || typeof o !== 'object') return null;
+    const id = o.id != null ? o.id : (o.shelf_id != null ? o.shelf_id : o.ID);
+    const name = o.name || o.label || o.shelf || o.shelf_label || o.title;
+    if (id == null || !name) return null;
+    return {
+      id: String(id),
+      name: dom.norm(name),
+      team: readShelfRecordTeam(o),
+      staff: readShelfRecordStaff(o)
+    };
+  }
+
+  function findMissingScopeShelves(compiled, records) {
+    const present = new Set();
+    records.forEach(r => {
+      const parts = parseShelfName(r.name);
+      if (parts.number != null) present.add(normalizeScopePrefix(parts.prefix) + ':' + parts.number);
+    });
+    const missing = [];
+    (compiled.rules || []).forEach(rule => {
+      if (rule.wildcard || rule.suffixFrom || rule.hi - rule.lo > 500) return;
+      for (let n = rule.lo; n <= rule.hi; n += 1) {
+        const name = rule.prefix + n;
+        if (present.has(rule.prefix + ':' + n)) continue;
+        if ((compiled.exclusions || []).some(r => scopeRuleMatches(r, rule.prefix, n, ''))) continue;
+        missing.push(name);
+      }
+    });
+    return missing;
+  }
+
+  async function loadScopedShelves(options, caller) {
+    const explicit = Array.isArray(options.names) ? options.names.map(normalizeShelfName).filter(Boolean) : null;
+    const compiled = explicit
+      ? compileShelfScope('')
+      : (typeof options.scope === 'string' || !options.scope
+        ? compileShelfScope(options.scope || '', { implicitPrefixes: options.implicitPrefixes })
+        : options.scope);
+    const included = explicit ? explicit.length : (compiled.rules || []).length;
+    if (!included) {
+      const errors = compiled.errors && compiled.errors.length ? ' (' + compiled.errors.join('; ') + ')' : '';
+      throw new Error(caller + ' requires a scope with at least one included shelf range' + errors);
+    }
+    const source = options.index || await loadShelfIndex({ force: !!options.refresh });
+    const records = (source.items || []).map(readShelfRecord).filter(Boolean);
+    const byName = new Map();
+    records.forEach(r => byName.set(normalizeShelfName(r.name), r));
+    const names = explicit
+      ? explicit.filter(k => byName.has(k)).map(k => byName.get(k).name)
+      : filterShelfNamesByScope(Array.from(byName.values()).map(r => r.name), compiled);
+    const unknownNames = explicit ? explicit.filter(k => !byName.has(k)) : [];
+    return { compiled, source, records, byName, names, unknownNames, included };
+  }
+
+  async function planShelfAssignment(options = {}) {
+    const action = options.action || (options.staffId != null ? 'assignStaff' : (options.teamCode ? 'assignTeam' : null));
+    if (!shelfPlanActions.includes(action)) {
+      throw new Error('planShelfAssignment requires action, teamCode or staffId');
+    }
+    if (action === 'assignTeam' && !dom.norm(options.teamCode || '')) {
+      throw new Error('planShelfAssignment requires teamCode');
+    }
+    if ((action === 'assignStaff' || action === 'removeStaff') && (options.staffId == null || options.staffId === '')) {
+      throw new Error('planShelfAssignment requires staffId');
+    }
+    const { compiled, source, records, byName, names, unknownNames, included } = await loadScopedShelves(options, 'planShelfAssignment');
+    const teamCode = action === 'assignTeam' ? dom.norm(options.teamCode) : null;
+    const staffId = options.staffId == null ? null : String(options.staffId);
+    const entries = [];
+    const unresolved = unknownNames.slice();
+    names.forEach(name => {
+      const record = byName.get(normalizeShelfName(name));
+      const id = getShelfIdByName(source, name) || (record && record.id);
+      if (!id) {
+        unresolved.push(name);
+        return;
+      }
+      const entry = {
+        id,
+        name: record.name,
+        currentTeam: record.team,
+        newTeam: record.team,
+        currentStaff: record.staff,
+        newStaff: record.staff,
+        unknown: false,
+        ops: []
+      };
+      if (action === 'assignTeam' || action === 'clearTeam') {
+        entry.newTeam = teamCode;
+        if (entry.currentTeam !== teamCode) {
+          entry.ops.push(teamCode ? { type: 'assignTeam', id, teamCode } : { type: 'clearTeam', id });
+        }
+      } else if (record.staff == null) {
+        entry.unknown = true;
+        entry.ops.push({ type: action, id, staffId });
+      } else if (action === 'assignStaff') {
+        const others = options.replaceStaff ? record.staff.filter(s => s !== staffId) : [];
+        others.forEach(s => entry.ops.push({ type: 'removeStaff', id, staffId: s }));
+        if (!record.staff.includes(staffId)) {
+          entry.ops.push({ type: 'assignStaff', id, staffId });
+        }
+        entry.newStaff = (options.replaceStaff ? [] : record.staff.filter(s => s !== staffId)).concat([staffId]);
+      } else {
+        if (record.staff.includes(staffId)) {
+          entry.ops.push({ type: 'removeStaff', id, staffId });
+        }
+        entry.newStaff = record.staff.filter(s => s !== staffId);
+      }
+      entry.changed = entry.ops.length > 0;
+      entries.push(entry);
+    });
+    entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    const changed = entries.filter(e => e.changed);
+    return {
+      scope: options.names ? names.join(',') : stringifyShelfScope(compiled),
+      included,
+      action,
+      teamCode,
+      staffId,
+      replaceStaff: !!options.replaceStaff,
+      errors: (compiled.errors || []).slice(),
+      entries,
+      missing: findMissingScopeShelves(compiled, records),
+      unresolved,
+      summary: {
+        matched: entries.length,
+        changed: changed.length,
+        unchanged: entries.length - changed.length,
+        ops: changed.reduce((sum, e) => sum + e.ops.length, 0)
+      }
+    };
+  }
+
+  function runShelfOp(op, entry, batch) {
+    const journal = Object.assign({ shelfName: entry.name }, batch);
+    if (op.type === 'assignTeam') return assignShelfTeam(op.id, op.teamCode, journal);
+    if (op.type === 'clearTeam') return clearShelfTeam(op.id, journal);
+    if (op.type === 'assignStaff') return assignShelfStaff(op.id, op.staffId, journal);
+    if (op.type === 'removeStaff') return removeShelfStaff(op.id, op.staffId, journal);
+    return Promise.reject(new Error('Unknown shelf op: ' + op.type));
+  }
+
+  async function applyShelfPlan(plan, options = {}) {
+    if (!plan || !Array.isArray(plan.entries)) {
+      throw new Error('applyShelfPlan requires plan');
+    }
+    if (plan.errors && plan.errors.length) {
+      throw new Error('applyShelfPlan: plan has scope errors: ' + plan.errors.join('; '));
+    }
+    if (!plan.included) {
+      throw new Error('applyShelfPlan: plan scope has no included shelf range');
+    }
+    const entries = plan.entries.filter(e => e.changed);
+    const retries = options.retries == null ? 2 : options.retries;
+    const batch = {
+      batchId: options.batchId || newShelfJournalId('b'),
+      batchLabel: options.batchLabel || (plan.action + ' ' + plan.scope),
+      user: await readShelfJournalUser()
+    };
+    const results = await asyncUtils.runWithConcurrency(entries, async entry => {
+      const result = { id: entry.id, name: entry.name, ok: true, error: null };
+      try {
+        for (const op of entry.ops) {
+          await asyncUtils.retry(() => runShelfOp(op, entry, batch), { retries, delayMs: options.delayMs });
+        }
+      } catch (err) {
+        result.ok = false;
+        result.error = err && err.message ? err.message : String(err);
+      }
+      if (options.onResult) options.onResult(result, entry);
+      return result;
+    }, {
+      concurrency: options.concurrency == null ? 3 : options.concurrency,
+      onProgress: options.onProgress
+    });
+    if (options.invalidate !== false) {
+      invalidateShelfIndex();
+    }
+    const failed = results.filter(r => !r.ok);
+    return {
+      batchId: batch.batchId,
+      total: results.length,
+      ok: results.length - failed.length,
+      failed: failed.length,
+      results
+    };
+  }
+
+  function describeShelfPlanEntry(entry) {
+    const show = v => (v == null ? '?' : (Array.isArray(v) ? (v.length ? v.join('+') : '-') : v));
+    if (entry.ops.some(op => op.type === 'assignTeam' || op.type === 'clearTeam')) {
+      return entry.name + ': team ' + show(entry.currentTeam === undefined ? undefined : entry.currentTeam || '-') + ' → ' + show(entry.newTeam || '-');
+    }
+    if (entry.unknown) {
+      return entry.name + ': staff ? → ' + entry.ops.map(op => (op.type === 'assignStaff' ? '+' : '-') + op.staffId).join(' ');
+    }
+    return entry.name + ': staff ' + show(entry.currentStaff) + ' → ' + show(entry.newStaff);
+  }
+
+  function openShelfPlanner(options = {}) {
+    const ui = createPanel({
+      id: 'shelf-planner',
+      title: 'Shelf Assignment Planner'
+    });
+    const inputStyle = { width: '100%', boxSizing: 'border-box', marginBottom: '4px' };
+    const scopeInput = dom.create('input', { type: 'text', placeholder: 'scope (e.g. A1-40,!A13,B*)', style: inputStyle });
+    const actionSelect = dom.create('select', { style: inputStyle }, [
+      dom.create('option', { value: 'assignTeam', textContent: 'Assign team' }),
+      dom.create('option', { value: 'clearTeam', textContent: 'Clear team' }),
+      dom.create('option', { value: 'assignStaff', textContent: 'Assign staff' }),
+      dom.create('option', { value: 'removeStaff', textContent: 'Remove staff' })
+    ]);
+    const teamInput = dom.create('input', { type: 'text', placeholder: 'team code', style: inputStyle });
+    const staffList = parseStaffDropdown(options.staffSelect || document.querySelector('select[name="staff_id"], select.staff-select'));
+    const staffInput = staffList.length
+      ? dom.create('select', { style: inputStyle }, staffList.map(s => dom.create('option', { value: String(s.id), textContent: s.label })))
+      : dom.create('input', { type: 'text', placeholder: 'staff id', style: inputStyle });
+    const replaceBox = dom.create('input', { type: 'checkbox' });
+    const previewBtn = dom.create('button', { type: 'button', textContent: 'Preview' });
+    const applyBtn = dom.create('button', { type: 'button', textContent: 'Apply', disabled: true, style: { marginLeft: '4px' } });
+    const status = dom.create('div', { style: { margin: '4px 0', color: '#aaa' } });
+    const diff = dom.create('div', { style: { whiteSpace: 'pre-wrap', fontFamily: 'monospace' } });
+    const log = createActivityLog({ id: 'shelf-planner' });
+    let plan = null;
+
+    [
+      scopeInput,
+      actionSelect,
+      teamInput,
+      staffInput,
+      dom.create('label', { style: { display: 'block', marginBottom: '4px' } }, [replaceBox, document.createTextNode(' Replace existing staff')]),
+      dom.create('div', {}, [previewBtn, applyBtn]),
+      status,
+      diff,
+      log.box
+    ].forEach(el => ui.body.appendChild(el));
+
+    function syncInputs() {
+      const action = actionSelect.value;
+      teamInput.style.display = action === 'assignTeam' ? '' : 'none';
+      staffInput.style.display = action === 'assignStaff' || action === 'removeStaff' ? '' : 'none';
+      replaceBox.parentNode.style.display = action === 'assignStaff' ? 'block' : 'none';
+      plan = null;
+      applyBtn.disabled = true;
+    }
+
+    function renderPlan() {
+      const lines = [];
+      plan.errors.forEach(e => lines.push('! ' + e));
+      plan.entries.filter(e => e.changed).forEach(e => lines.push(describeShelfPlanEntry(e)));
+      if (plan.missing.length) lines.push('Not in index: ' + plan.missing.join(', '));
+      if (plan.unresolved.length) lines.push('No id: ' + plan.unresolved.join(', '));
+      diff.textContent = lines.join('\n');
+      status.textContent = plan.summary.matched + ' matched, ' + plan.summary.changed + ' to change, ' + plan.summary.unchanged + ' already set';
+      applyBtn.disabled = !!plan.errors.length || !plan.summary.changed;
+    }
+
+    previewBtn.addEventListener('click', async () => {
+      previewBtn.disabled = true;
+      status.textContent = 'Loading shelf index…';
+      try {
+        plan = await planShelfAssignment({
+          scope: scopeInput.value,
+          action: actionSelect.value,
+          teamCode: teamInput.value,
+          staffId: staffInput.value,
+          replaceStaff: replaceBox.checked,
+          refresh: true
+        });
+        renderPlan();
+      } catch (err) {
+        plan = null;
+        applyBtn.disabled = true;
+        status.textContent = err && err.message ? err.message : String(err);
+      }
+      previewBtn.disabled = false;
+    });
+
+    applyBtn.addEventListener('click', async () => {
+      if (!plan) return;
+      const current = plan;
+      if (!window.confirm('Apply ' + current.summary.ops + ' change(s) to ' + current.summary.changed + ' shelf(s)?')) return;
+      applyBtn.disabled = true;
+      previewBtn.disabled = true;
+      log.log('Applying ' + current.action + ' to ' + current.scope + ' (' + current.summary.changed + ' shelves)');
+      try {
+        const result = await applyShelfPlan(current, {
+          onProgress: p => { status.textContent = 'Applying ' + p.completed + '/' + p.total; },
+          onResult: r => { if (!r.ok) log.log('Failed ' + r.name + ': ' + r.error); }
+        });
+        status.textContent = 'Done: ' + result.ok + ' ok, ' + result.failed + ' failed';
+        log.log('Done ' + current.scope + ': ' + result.ok + ' ok, ' + result.failed + ' failed');
+      } catch (err) {
+        const message = err && err.message ? err.message : String(err);
+        status.textContent = 'Apply failed: ' + message;
+        log.log('Apply failed on ' + current.scope + ': ' + message);
+      } finally {
+        plan = null;
+        previewBtn.disabled = false;
+      }
+    });
+
+    actionSelect.addEventListener('change', syncInputs);
+    [scopeInput, teamInput, staffInput, replaceBox].forEach(el => el.addEventListener('change', () => {
+      plan = null;
+      applyBtn.disabled = true;
+    }));
+    syncInputs();
+    return ui;
+  }
+
+  // ============================================================
+  // Shelf Distribution
+  // ============================================================
+
+  function compareShelfRecords(a, b) {
+    const pa = parseShelfName(a.name);
+    const pb = parseShelfName(b.name);
+    const prefixA = normalizeScopePrefix(pa.prefix);
+    const prefixB = normalizeScopePrefix(pb.prefix);
+    if (prefixA !== prefixB) return prefixA < prefixB ? -1 : 1;
+    const na = pa.number == null ? Infinity : pa.number;
+    const nb = pb.number == null ? Infinity : pb.number;
+    if (na !== nb) return na - nb;
+    return compareSuffix(String(pa.suffix || '').toUpperCase(), String(pb.suffix || '').toUpperCase());
+  }
+
+  function readShelfWeight(weights, record) {
+    let w;
+    if (typeof weights === 'function') {
+      w = weights(record);
+    } else if (weights instanceof Map) {
+      w = weights.has(record.id) ? weights.get(record.id) : weights.get(normalizeShelfName(record.name));
+    } else if (weights && typeof weights === 'object') {
+      w = weights[record.id] != null ? weights[record.id] : weights[normalizeShelfName(record.name)];
+    }
+    const n = Number(w);
+    return w == null || !Number.isFinite(n) || n < 0 ? 1 : n;
+  }
+
+  function splitShelfSegments(items, count, tolerance) {
+    const segments = [];
+    let remaining = items.reduce((sum, it) => sum + it.weight, 0);
+    let current = [];
+    let load = 0;
+    for (let i = 0; i < items.length; i += 1) {
+      const item = items[i];
+      const left = count - segments.length;
+      if (current.length && left > 1) {
+        const target = remaining / left;
+        const prefixBreak = parseShelfName(items[i - 1].record.name).prefix.toUpperCase() !== parseShelfName(item.record.name).prefix.toUpperCase();
+        const over = load + item.weight / 2 > target;
+        const mustCut = items.length - i < left;
+        if (over || mustCut || (prefixBreak && load >= target * (1 - tolerance))) {
+          segments.push({ items: current, load });
+          remaining -= load;
+          current = [];
+          load = 0;
+        }
+      }
+      current.push(item);
+      load += item.weight;
+    }
+    if (current.length) segments.push({ items: current, load });
+    while (segments.length < count) segments.push({ items: [], load: 0 });
+    return segments;
+  }
+
+  function matchSegmentsToStaff(segments, staff) {
+    const pairs = [];
+    segments.forEach((seg, si) => {
+      staff.forEach((person, pi) => {
+        const overlap = seg.items.reduce((sum, it) => sum + (it.record.staff && it.record.staff.includes(person.id) ? it.weight : 0), 0);
+        if (overlap > 0) pairs.push({ si, pi, overlap });
+      });
+    });
+    pairs.sort((a, b) => b.overlap - a.overlap || a.si - b.si);
+    const bySegment = new Map();
+    const usedStaff = new Set();
+    pairs.forEach(p => {
+      if (bySegment.has(p.si) || usedStaff.has(p.pi)) return;
+      bySegment.set(p.si, p.pi);
+      usedStaff.add(p.pi);
+    });
+    const free = staff.map((_, pi) => pi).filter(pi => !usedStaff.has(pi));
+    segments.forEach((_, si) => {
+      if (!bySegment.has(si)) bySegment.set(si, free.shift());
+    });
+    return bySegment;
+  }
+
+  async function planShelfDistribution(options = {}) {
+    const staff = (Array.isArray(options.staff) ? options.staff : parseStaffDropdown(options.staffSelect))
+      .filter(s => s && s.id != null && !s.disabled)
+      .map(s => ({ id: String(s.id), label: s.label || String(s.id) }));
+    if (!staff.length) {
+      throw new Error('planShelfDistribution requires staff');
+    }
+    const { compiled, records, byName, names, included } = await loadScopedShelves(options, 'planShelfDistribution');
+    const tolerance = options.tolerance == null ? 0.15 : options.tolerance;
+    const staffIds = new Set(staff.map(s => s.id));
+    const items = names.map(name => byName.get(normalizeShelfName(name)))
+      .sort(compareShelfRecords)
+      .map(record => ({ record, weight: readShelfWeight(options.weights, record) }));
+    const segments = splitShelfSegments(items, staff.length, tolerance);
+    const assignment = matchSegmentsToStaff(segments, staff);
+    const total = items.reduce((sum, it) => sum + it.weight, 0);
+    const entries = [];
+    const summarySegments = segments.map((seg, si) => {
+      const person = staff[assignment.get(si)];
+      seg.items.forEach(it => {
+        const record = it.record;
+        const entry = {
+          id: record.id,
+          name: record.name,
+          staffId: person.id,
+          weight: it.weight,
+          currentTeam: record.team,
+          newTeam: record.team,
+          currentStaff: record.staff,
+          newStaff: record.staff,
+          unknown: record.staff == null,
+          ops: []
+        };
+        if (entry.unknown) {
+          entry.ops.push({ type: 'assignStaff', id: record.id, staffId: person.id });
+        } else {
+          const drop = record.staff.filter(s => s !== person.id && (options.replaceOthers || staffIds.has(s)));
+          drop.forEach(s => entry.ops.push({ type: 'removeStaff', id: record.id, staffId: s }));
+          if (!record.staff.includes(person.id)) {
+            entry.ops.push({ type: 'assignStaff', id: record.id, staffId: person.id });
+          }
+          entry.newStaff = record.staff.filter(s => s !== person.id && !drop.includes(s)).concat([person.id]);
+        }
+        entry.changed = entry.ops.length > 0;
+        entries.push(entry);
+      });
+      const kept = seg.items.filter(it => it.record.staff && it.record.staff.includes(person.id)).length;
+      return {
+        staffId: person.id,
+        label: person.label,
+        scope: stringifyShelfScope(compileShelfScope(seg.items.map(it => it.record.name).join(','))),
+        shelves: seg.items.map(it => it.record.name),
+        load: seg.load,
+        share: total ? seg.load / total : 0,
+        kept
+      };
+    });
+    const changed = entries.filter(e => e.changed);
+    return {
+      scope: stringifyShelfScope(compiled),
+      included,
+      action: 'distribute',
+      errors: (compiled.errors || []).slice(),
+      staff,
+      segments: summarySegments,
+      entries,
+      missing: findMissingScopeShelves(compiled, records),
+      unresolved: [],
+      summary: {
+        matched: entries.length,
+        changed: changed.length,
+        unchanged: entries.length - changed.length,
+        ops: changed.reduce((sum, e) => sum + e.ops.length, 0),
+        totalWeight: total,
+        target: staff.length ? total / staff.length : 0
+      }
+    };
+  }
+
+  function openShelfDistributor(options = {}) {
+    const ui = createPanel({
+      id: 'shelf-distributor',
+      title: 'Shelf Distribution'
+    });
+    const inputStyle = { width: '100%', boxSizing: 'border-box', marginBottom: '4px' };
+    const scopeInput = dom.create('input', { type: 'text', placeholder: 'scope (e.g. A1-40,B*)', style: inputStyle });
+    const staffList = parseStaffDropdown(options.staffSelect || document.querySelector('select[name="staff_id"], select.staff-select'));
+    const staffBox = dom.create('div', { style: { maxHeight: '160px', overflow: 'auto', marginBottom: '4px' } });
+    staffList.forEach(s => {
+      const box = dom.create('input', { type: 'checkbox' });
+      box.dataset.staffId = String(s.id);
+      staffBox.appendChild(dom.create('label', { style: { display: 'block' } }, [box, document.createTextNode(' ' + s.label)]));
+    });
+    const previewBtn = dom.create('button', { type: 'button', textContent: 'Preview' });
+    const applyBtn = dom.create('button', { type: 'button', textContent: 'Apply', disabled: true, style: { marginLeft: '4px' } });
+    const status = dom.create('div', { style: { margin: '4px 0', color: '#aaa', whiteSpace: 'pre-wrap' } });
+    const diff = dom.create('div', { style: { whiteSpace: 'pre-wrap', fontFamily: 'monospace' } });
+    const log = createActivityLog({ id: 'shelf-distributor' });
+    let plan = null;
+
+    [scopeInput, staffBox, dom.create('div', {}, [previewBtn, applyBtn]), status, diff, log.box].forEach(el => ui.body.appendChild(el));
+
+    function selectedStaff() {
+      const ids = dom.qsa('input[type="checkbox"]', staffBox).filter(b => b.checked).map(b => b.dataset.staffId);
+      return staffList.filter(s => ids.includes(String(s.id)));
+    }
+
+    function invalidate() {
+      plan = null;
+      applyBtn.disabled = true;
+    }
+
+    previewBtn.addEventListener('click', async () => {
+      previewBtn.disabled = true;
+      status.textContent = 'Loading shelf index…';
+      try {
+        plan = await planShelfDistribution({
+          scope: scopeInput.value,
+          staff: selectedStaff(),
+          weights: options.weights,
+          refresh: true
+        });
+        status.textContent = plan.segments.map(seg => seg.label + ': ' + (seg.scope || '-') + ' (' + seg.shelves.length + ' shelves, ' + Math.round(seg.share * 100) + '%, ' + seg.kept + ' kept)').join('\n');
+        diff.textContent = plan.errors.map(e => '! ' + e)
+          .concat(plan.entries.filter(e => e.changed).map(describeShelfPlanEntry))
+          .concat(plan.missing.length ? ['Not in index: ' + plan.missing.join(', ')] : [])
+          .join('\n');
+        applyBtn.disabled = !!plan.errors.length || !plan.summary.changed;
+      } catch (err) {
+        invalidate();
+        status.textContent = err && err.message ? err.message : String(err);
+      }
+      previewBtn.disabled = false;
+    });
+
+    applyBtn.addEventListener('click', async () => {
+      if (!plan) return;
+      const current = plan;
+      if (!window.confirm('Apply ' + current.summary.ops + ' change(s) to ' + current.summary.changed + ' shelf(s)?')) return;
+      applyBtn.disabled = true;
+      previewBtn.disabled = true;
+      log.log('Distributing ' + current.scope + ' across ' + current.staff.map(s => s.label).join(', '));
+      try {
+        const result = await applyShelfPlan(current, {
+          onProgress: p => { status.textContent = 'Applying ' + p.completed + '/' + p.total; },
+          onResult: r => { if (!r.ok) log.log('Failed ' + r.name + ': ' + r.error); }
+        });
+        status.textContent = 'Done: ' + result.ok + ' ok, ' + result.failed + ' failed';
+        log.log('Done ' + current.scope + ': ' + result.ok + ' ok, ' + result.failed + ' failed');
+      } catch (err) {
+        const message = err && err.message ? err.message : String(err);
+        status.textContent = 'Apply failed: ' + message;
+        log.log('Apply failed on ' + current.scope + ': ' + message);
+      } finally {
+        plan = null;
+        previewBtn.disabled = false;
+      }
+    });
+
+    scopeInput.addEventListener('change', invalidate);
+    staffBox.addEventListener('change', invalidate);
+    return ui;
+  }
+
+  KOTN.shelves = {
+    normalizeName: normalizeShelfName,
+    parseName: parseShelfName,
+    buildIndexFromArray: buildShelfIndexFromArray,
+    loadIndex: loadShelfIndex,
+    invalidateIndex: invalidateShelfIndex,
+    getIdByName: getShelfIdByName,
+    getNameById: getShelfNameById,
+    getRecordById: getShelfRecordById,
+    resolveName: resolveShelfName,
+    assignTeam: assignShelfTeam,
+    clearTeam: clearShelfTeam,
+    assignStaff: assignShelfStaff,
+    removeStaff: removeShelfStaff,
+    matchRow: matchShelfRow,
+    filterRows: filterShelfRows,
+    compileScope: compileShelfScope,
+    matchNameScope: matchShelfNameScope,
+    filterNamesByScope: filterShelfNamesByScope,
+    stringifyScope: stringifyShelfScope,
+    planAssignment: planShelfAssignment,
+    applyPlan: applyShelfPlan,
+    openPlanner: openShelfPlanner,
+    planDistribution: planShelfDistribution,
+    openDistributor: openShelfDistributor,
+    journal: {
+      list: listShelfJournal,
+      batches: listShelfJournalBatches,
+      withBatch: withShelfBatch,
+      undo: undoShelfEntries,
+      undoLast: undoLastShelfBatch,
+      describe: describeShelfJournalEntry,
+      open: openShelfJournal,
+      clear: () => shelfJournalStore.clear()
+    }
+  };
+
+  // ============================================================
+  // Prompt Helpers
+  // ============================================================
+
+  function getScriptWindow() {
+    try {
+      return typeof unsafeWindow === 'undefined' ? window : unsafeWindow;
+    } catch (err) {
+      return window;
+    }
+  }
+
+  function ensurePromptPatched() {
+    const w = getScriptWindow();
     if (w.kotnArmPrompt) return;
     const code = '(function(){var o=window.prompt,a=null;window.kotnArmPrompt=function(v){try{a=String(v);}catch(e){a=\"\";}};window.prompt=function(m,d){try{if(a!==null&&a!==undefined){var t=a;a=null;return t;}}catch(e){}return o.call(window,m,d);};})();';
     const s = document.createElement('script');
@@ -1609,7 +2838,7 @@ function matchShelfNameScope(name, scope) {
     if (!doc) {
       throw new Error('reassignOneSku iframe document unavailable');
     }
-    const images = Array.from(doc.querySelectorAll('.image-upload-grid img[src]')).map(img => img.src).filter(Boolean);
+    const images = collectImageUrls(doc);
     const input = doc.querySelector('#shelf_name');
     const submit = doc.getElementById('submitButton');
     if (!input || !submit) {
@@ -1731,7 +2960,7 @@ function matchShelfNameScope(name, scope) {
     });
     const doc = frame.document;
     const newSku = parseSavedNewSku(doc) || '';
-    const images = Array.from(doc.querySelectorAll('.image-upload-grid img[src]')).map(img => img.src).filter(Boolean);
+    const images = collectImageUrls(doc);
     return {
       listingId: idStr,
       targetShelf: shelf,
@@ -1859,65 +3088,683 @@ function matchShelfNameScope(name, scope) {
   };
 
   // ============================================================
-  // Listing Parser Helpers
+  // Size Helpers
   // ============================================================
 
-  function extractListingFromEdit(doc, id, options) {
-    const cfg = options || {};
-    const domRef = KOTN.dom;
-    const data = {
-      id: String(id),
-      title: '',
-      primaryCategory: '',
-      secondaryCategory: '',
-      categoryIdsJson: '',
-      auctionId: '',
-      auctionType: '',
-      shelfName: '',
-      lot: '',
-      pickingChannel: '',
-      productUrl: '',
-      itemConditionId: '',
-      packageConditionId: '',
-      itemConditionLabel: '',
-      packageConditionLabel: '',
-      macroNotes: '',
-      conditionNotes: '',
-      editorNotes: '',
-      staffNotes: '',
-      createdBy: '',
-      createdByRaw: '',
-      createdAtText: '',
-      isDraft: false,
-      toBeCleared: false,
-      isPublic: false,
-      imageCount: 0
-    };
-    const createdRow = doc.querySelector('.form-group.row span.col-form-label');
-    if (createdRow && createdRow.textContent && domRef.norm(createdRow.textContent).toLowerCase() === 'created by') {
-      const input = createdRow.parentElement && createdRow.parentElement.querySelector('.input-group input[disabled][type="text"]');
-      if (input && input.value) {
-        data.createdBy = input.value;
-        data.createdByRaw = input.value;
+  const letterSizeWords = {
+    'XXS': 'XXS',
+    'XS': 'XS',
+    'X-SMALL': 'XS',
+    'XSMALL': 'XS',
+    'EXTRA SMALL': 'XS',
+    'S': 'S',
+    'SMALL': 'S',
+    'M': 'M',
+    'MEDIUM': 'M',
+    'L': 'L',
+    'LARGE': 'L',
+    'XL': 'XL',
+    'X-LARGE': 'XL',
+    'XLARGE': 'XL',
+    'EXTRA LARGE': 'XL',
+    'XXL': 'XXL',
+    'XX-LARGE': 'XXL',
+    '2XL': 'XXL',
+    'XXXL': 'XXXL',
+    '3XL': 'XXXL',
+    '4XL': '4XL',
+    '5XL': '5XL'
+  };
+
+  const sizePatterns = [
+    {
+      kind: 'oneSize',
+      re: /\b(?:one[\s-]?size(?:[\s-]fits[\s-](?:all|most))?|OSFA|OSFM)\b/gi,
+      normalize() {
+        return { value: 'One Size' };
+      }
+    },
+    {
+      kind: 'waistInseam',
+      re: /\bW\s?(\d{2})\s?L\s?(\d{2})\b|\b(\d{2})\s?[xX]\s?(\d{2})\b/g,
+      normalize(m) {
+        const waist = Number(m[1] || m[3]);
+        const inseam = Number(m[2] || m[4]);
+        if (waist < 20 || waist > 60 || inseam < 20 || inseam > 40) return null;
+        return { value: waist + 'x' + inseam, waist, inseam };
+      }
+    },
+    {
+      kind: 'shoe',
+      re: /\b(US|EU|EUR|UK)\s?(Men'?s|Women'?s|Mens|Womens|M|W)?\s?(\d{1,2}(?:\.5)?)\b|\b(\d{1,2}(?:\.5)?)\s?(US|EU|UK)\b/gi,
+      normalize(m) {
+        const system = String(m[1] || m[5] || '').toUpperCase().replace('EUR', 'EU');
+        const size = Number(m[3] || m[4]);
+        return buildShoeSize(system, m[2], size);
+      }
+    },
+    {
+      kind: 'kids',
+      re: /\b(\d{1,2})\s?-\s?(\d{1,2})\s?(M|mo|months|Y|yrs|years)\b|\b(\d{1,2})\s?(T|Y|yrs|years|mo|months)\b|\b(?:Youth|Kids|Boys|Girls|Toddler)\s(XS|S|M|L|XL|\d{1,2})\b/g,
+      normalize(m) {
+        if (m[1]) {
+          const unit = /^m/i.test(m[3]) ? 'M' : 'Y';
+          return { value: Number(m[1]) + '-' + Number(m[2]) + unit };
+        }
+        if (m[4]) {
+          const unit = m[5] === 'T' ? 'T' : (/^m/i.test(m[5]) ? 'M' : 'Y');
+          return { value: Number(m[4]) + unit };
+        }
+        return { value: 'Youth ' + String(m[6]).toUpperCase() };
+      }
+    },
+    {
+      kind: 'shoe',
+      re: /\b(Men'?s|Women'?s|Mens|Womens)\s(?:size\s)?(\d{1,2}(?:\.5)?)\b|\b([MW])\s?(\d{1,2}(?:\.5)?)\b|\b(\d{1,2}(?:\.5)?)\s?([MW])\b/g,
+      normalize(m) {
+        const size = Number(m[2] || m[4] || m[5]);
+        if (size > 16) return null;
+        if (!m[1] && !shoeSizeContext.test(m.input) && !sizeLabelBefore.test(m.input.slice(0, m.index))) return null;
+        return buildShoeSize('', m[1] || m[3] || m[6], size);
+      }
+    },
+    {
+      kind: 'waist',
+      re: /\b(\d{2})\s?([WS])\b|\bW(\d{2})\b/g,
+      normalize(m) {
+        const waist = Number(m[1] || m[3]);
+        if (waist < 20 || waist > 60) return null;
+        return { value: waist + (m[2] || 'W'), waist };
+      }
+    },
+    {
+      kind: 'letter',
+      re: /\b(?:X-?Small|Extra Small|Small|Medium|Large|X-?Large|Extra Large|XX-?Large)\b/gi,
+      normalize(m) {
+        const value = letterSizeWords[m[0].toUpperCase()];
+        return value ? { value } : null;
+      }
+    },
+    {
+      kind: 'letter',
+      re: /\b(?:XXS|XS|S|M|L|XL|XXL|XXXL|[2-5]XL)\b/g,
+      normalize(m) {
+        const value = letterSizeWords[m[0]];
+        return value ? { value } : null;
       }
     }
-    const auctionHiddenId = doc.querySelector('input[name="auction_id"]');
-    if (auctionHiddenId && auctionHiddenId.value) {
-      data.auctionId = String(auctionHiddenId.value);
+  ];
+
+  const shoeSizeContext = /\b(?:shoes?|sneakers?|boots?|sandals?|heels|loafers?|slippers?|cleats?|trainers|footwear)\b/i;
+  const sizeLabelBefore = /\b(?:size|sz)\.?:?\s*$/i;
+
+  function buildShoeSize(system, genderRaw, size) {
+    if (!Number.isFinite(size) || size <= 0) return null;
+    const g = String(genderRaw || '').toUpperCase();
+    const gender = g.startsWith('W') ? 'W' : (g.startsWith('M') ? 'M' : '');
+    const parts = [system, gender, String(size)].filter(Boolean);
+    return { value: parts.join(' '), system, gender, size };
+  }
+
+  function countWords(text) {
+    const words = dom.norm(text || '').split(' ').filter(w => /[A-Za-z0-9]/.test(w));
+    return words.length;
+  }
+
+  function extractSizes(title, options = {}) {
+    const text = String(title || '');
+    const kinds = Array.isArray(options.kinds) && options.kinds.length ? options.kinds : null;
+    const taken = [];
+    const tokens = [];
+    sizePatterns.forEach(p => {
+      if (kinds && !kinds.includes(p.kind)) return;
+      p.re.lastIndex = 0;
+      let m;
+      while ((m = p.re.exec(text)) !== null) {
+        const start = m.index;
+        const end = start + m[0].length;
+        if (m[0].length === 0) {
+          p.re.lastIndex += 1;
+          continue;
+        }
+        if (taken.some(r => start < r.end && end > r.start)) continue;
+        const norm = p.normalize(m);
+        if (!norm) continue;
+        taken.push({ start, end });
+        tokens.push(Object.assign({
+          raw: m[0],
+          kind: p.kind,
+          normalized: norm.value,
+          index: start,
+          end,
+          position: text.length ? start / text.length : 0,
+          trailingWords: countWords(text.slice(end))
+        }, norm));
+      }
+    });
+    tokens.forEach(t => delete t.value);
+    return tokens.sort((a, b) => a.index - b.index);
+  }
+
+  function hasSize(title, options) {
+    return extractSizes(title, options).length > 0;
+  }
+
+  function lastSize(title, options) {
+    const tokens = extractSizes(title, options);
+    return tokens.length ? tokens[tokens.length - 1] : null;
+  }
+
+  function isSizeNearEnd(title, options = {}) {
+    const maxTrailingWords = options.maxTrailingWords == null ? 2 : options.maxTrailingWords;
+    const token = lastSize(title, options);
+    if (!token) return false;
+    return token.trailingWords <= maxTrailingWords;
+  }
+
+  function normalizeSize(text, options) {
+    const token = extractSizes(text, options)[0];
+    return token ? token.normalized : null;
+  }
+
+  KOTN.sizes = {
+    kinds: Array.from(new Set(sizePatterns.map(p => p.kind))),
+    extract: extractSizes,
+    has: hasSize,
+    last: lastSize,
+    isNearEnd: isSizeNearEnd,
+    normalize: normalizeSize
+  };
+
+  // ============================================================
+  // Category Taxonomy
+  // ============================================================
+
+  let categoryStore = null;
+
+  function getCategoryStore() {
+    if (!categoryStore) {
+      categoryStore = createStore({ name: 'categories', scope: 'local' });
     }
-    const auctionTypeInput = doc.querySelector('#auctionType');
-    if (auctionTypeInput && auctionTypeInput.value) {
-      data.auctionType = String(auctionTypeInput.value);
+    return categoryStore;
+  }
+
+  function categoryIdOf(entry) {
+    if (entry == null) return null;
+    if (typeof entry === 'object') {
+      const raw = entry.id != null ? entry.id : (entry.category_id != null ? entry.category_id : entry.value);
+      return raw == null ? null : categoryIdOf(raw);
     }
-    const shelfInput = doc.querySelector('input[name="shelf_name"]');
-    if (shelfInput && shelfInput.value) {
-      data.shelfName = shelfInput.value;
+    const str = String(entry).trim();
+    return /^\d+$/.test(str) ? str : null;
+  }
+
+  function readCategoryEntries(raw) {
+    if (raw == null || raw === '') return [];
+    let parsed = raw;
+    if (typeof raw === 'string') {
+      try {
+        parsed = JSON.parse(raw);
+      } catch (err) {
+        parsed = raw.split(/[\s,]+/);
+      }
     }
-    const lotSelect = doc.querySelector('select[name="lot"]');
-    if (lotSelect && lotSelect.value) {
-      data.lot = lotSelect.value;
+    if (Array.isArray(parsed)) return parsed;
+    if (parsed && typeof parsed === 'object') {
+      if (categoryIdOf(parsed)) return [parsed];
+      return Object.keys(parsed).sort((a, b) => Number(a) - Number(b)).map(k => parsed[k]);
     }
-    const channelFront = doc.querySelector('input[name="picking_channel"][value="front"]');
+    return [parsed];
+  }
+
+  function parseCategoryIds(raw) {
+    const ids = [];
+    readCategoryEntries(raw).forEach(entry => {
+      const id = categoryIdOf(entry);
+      if (id && !ids.includes(id)) ids.push(id);
+    });
+    return ids;
+  }
+
+  function readCategoryNodes() {
+    const nodes = getCategoryStore().get('nodes', {});
+    return nodes && typeof nodes === 'object' ? nodes : {};
+  }
+
+  function learnCategories(entries) {
+    const list = Array.isArray(entries) ? entries : [];
+    if (!list.length) return 0;
+    const nodes = readCategoryNodes();
+    let changed = 0;
+    list.forEach(e => {
+      if (!e || !e.id) return;
+      const id = String(e.id);
+      const prev = nodes[id] || { id, name: '', parentId: null };
+      const next = {
+        id,
+        name: e.name ? dom.norm(e.name) : prev.name,
+        parentId: e.parentId != null ? String(e.parentId) : prev.parentId
+      };
+      if (next.parentId === id) next.parentId = prev.parentId;
+      if (next.name !== prev.name || next.parentId !== prev.parentId || !nodes[id]) {
+        nodes[id] = next;
+        changed += 1;
+      }
+    });
+    if (changed) getCategoryStore().set('nodes', nodes);
+    return changed;
+  }
+
+  function categoryEntryOf(item) {
+    if (!item || typeof item !== 'object') return null;
+    const id = categoryIdOf(item);
+    if (!id) return null;
+    const name = item.name || item.label || '';
+    const parent = item.parent_id !== undefined ? item.parent_id : item.parentId;
+    if (!name && parent === undefined) return null;
+    return { id, name, parentId: parent === undefined ? undefined : (parent == null ? null : categoryIdOf(parent)) };
+  }
+
+  function categoryEntriesFromListing(listing) {
+    if (!listing) return [];
+    const raw = readCategoryEntries(listing.categoryIdsJson);
+    const ids = parseCategoryIds(raw);
+    const labels = [listing.primaryCategory, listing.secondaryCategory].map(n => dom.norm(n || '')).filter(Boolean);
+    const named = labels.length === ids.length;
+    const entries = ids.map((id, i) => ({ id, name: named ? labels[i] : '', parentId: i > 0 ? ids[i - 1] : null }));
+    raw.forEach(item => {
+      const explicit = categoryEntryOf(item);
+      const entry = explicit ? entries.find(e => e.id === explicit.id) : null;
+      if (!entry) return;
+      if (explicit.name) entry.name = dom.norm(explicit.name);
+      if (explicit.parentId !== undefined) entry.parentId = explicit.parentId;
+    });
+    return entries;
+  }
+
+  function learnCategoriesFromListing(listing) {
+    return learnCategories(categoryEntriesFromListing(listing));
+  }
+
+  function learnCategoryTree(tree) {
+    const entries = [];
+    const walk = (list, parentId) => {
+      (Array.isArray(list) ? list : []).forEach(item => {
+        const entry = categoryEntryOf(Object.assign({ parent_id: parentId }, item));
+        if (!entry) return;
+        entries.push(entry);
+        walk(item.children, entry.id);
+      });
+    };
+    walk(readCategoryEntries(tree), null);
+    return learnCategories(entries);
+  }
+
+  function categoryNodesFor(options) {
+    return options && options.nodes ? options.nodes : readCategoryNodes();
+  }
+
+  function getCategoryNode(id, options) {
+    const key = categoryIdOf(id);
+    if (!key) return null;
+    return categoryNodesFor(options)[key] || null;
+  }
+
+  function findCategoriesByName(name) {
+    const wanted = search.normalize(name);
+    if (!wanted) return [];
+    const nodes = readCategoryNodes();
+    return Object.keys(nodes).map(k => nodes[k]).filter(n => search.normalize(n.name) === wanted);
+  }
+
+  function getCategoryAncestors(id, options) {
+    const nodes = categoryNodesFor(options);
+    const out = [];
+    const seen = new Set();
+    let cur = nodes[categoryIdOf(id)];
+    while (cur && cur.parentId && !seen.has(cur.parentId)) {
+      seen.add(cur.parentId);
+      const parent = nodes[cur.parentId];
+      if (!parent) {
+        out.push({ id: cur.parentId, name: '', parentId: null });
+        break;
+      }
+      out.push(parent);
+      cur = parent;
+    }
+    return out;
+  }
+
+  function getCategoryChildren(id) {
+    const key = categoryIdOf(id);
+    const nodes = readCategoryNodes();
+    return Object.keys(nodes).map(k => nodes[k]).filter(n => n.parentId === key);
+  }
+
+  function categoryMatches(node, idOrName) {
+    if (!node) return false;
+    const asId = categoryIdOf(idOrName);
+    if (asId) return node.id === asId;
+    return search.normalize(node.name) === search.normalize(idOrName);
+  }
+
+  function isCategoryUnder(id, ancestorIdOrName, options = {}) {
+    const key = categoryIdOf(id);
+    if (!key) return false;
+    const self = getCategoryNode(key, options) || { id: key, name: '', parentId: null };
+    if (options.includeSelf !== false && categoryMatches(self, ancestorIdOrName)) return true;
+    return getCategoryAncestors(key, options).some(n => categoryMatches(n, ancestorIdOrName));
+  }
+
+  function getCategoryTree() {
+    const nodes = readCategoryNodes();
+    const byId = {};
+    Object.keys(nodes).forEach(k => {
+      byId[k] = Object.assign({}, nodes[k], { children: [] });
+    });
+    const roots = [];
+    Object.keys(byId).forEach(k => {
+      const n = byId[k];
+      if (n.parentId && byId[n.parentId]) {
+        byId[n.parentId].children.push(n);
+      } else {
+        roots.push(n);
+      }
+    });
+    return roots;
+  }
+
+  function listingCategoryIds(listing) {
+    if (!listing) return [];
+    if (Array.isArray(listing.categoryIds)) return listing.categoryIds.map(String);
+    return parseCategoryIds(listing.categoryIdsJson);
+  }
+
+  KOTN.categories = {
+    parseIds: parseCategoryIds,
+    entriesFromListing: categoryEntriesFromListing,
+    learn: learnCategories,
+    learnFromListing: learnCategoriesFromListing,
+    learnTree: learnCategoryTree,
+    idsForListing: listingCategoryIds,
+    nodes: readCategoryNodes,
+    getNode: getCategoryNode,
+    findByName: findCategoriesByName,
+    ancestors: getCategoryAncestors,
+    children: getCategoryChildren,
+    isUnder: isCategoryUnder,
+    getTree: getCategoryTree,
+    clear() {
+      getCategoryStore().clear();
+    }
+  };
+
+  // ============================================================
+  // Image Quality Helpers
+  // ============================================================
+
+  function collectImageUrls(doc) {
+    const root = doc || document;
+    return Array.from(root.querySelectorAll('.image-upload-grid img[src]')).map(img => img.src).filter(Boolean);
+  }
+
+  function loadImage(src, options = {}) {
+    const timeoutMs = options.timeoutMs == null ? 15000 : options.timeoutMs;
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      let done = false;
+      const timer = setTimeout(() => {
+        if (done) return;
+        done = true;
+        reject(new Error('loadImage: timeout for ' + src));
+      }, timeoutMs);
+      img.onload = () => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        resolve(img);
+      };
+      img.onerror = () => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        reject(new Error('loadImage: failed to load ' + src));
+      };
+      try {
+        if (new URL(src, window.location.href).origin !== window.location.origin) {
+          img.crossOrigin = 'anonymous';
+        }
+      } catch (err) {
+      }
+      img.src = src;
+    });
+  }
+
+  function readPixels(img, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
+    ctx.drawImage(img, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height).data;
+  }
+
+  function lumaAt(data, i) {
+    return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+
+  function computeDHash(img) {
+    const data = readPixels(img, 9, 8);
+    if (!data) return '';
+    let hex = '';
+    let nibble = 0;
+    let bits = 0;
+    for (let y = 0; y < 8; y += 1) {
+      for (let x = 0; x < 8; x += 1) {
+        const left = lumaAt(data, (y * 9 + x) * 4);
+        const right = lumaAt(data, (y * 9 + x + 1) * 4);
+        nibble = (nibble << 1) | (left < right ? 1 : 0);
+        bits += 1;
+        if (bits === 4) {
+          hex += nibble.toString(16);
+          nibble = 0;
+          bits = 0;
+        }
+      }
+    }
+    return hex;
+  }
+
+  function hammingDistance(a, b) {
+    const ha = String(a || '');
+    const hb = String(b || '');
+    if (!ha || ha.length !== hb.length) return Infinity;
+    let dist = 0;
+    for (let i = 0; i < ha.length; i += 1) {
+      let x = parseInt(ha[i], 16) ^ parseInt(hb[i], 16);
+      while (x) {
+        dist += x & 1;
+        x >>= 1;
+      }
+    }
+    return dist;
+  }
+
+  async function analyzeImage(src, options = {}) {
+    const darkLuma = options.darkLuma == null ? 24 : options.darkLuma;
+    const brightLuma = options.brightLuma == null ? 245 : options.brightLuma;
+    const exposureRatio = options.exposureRatio == null ? 0.92 : options.exposureRatio;
+    const result = {
+      src,
+      width: 0,
+      height: 0,
+      aspectRatio: 0,
+      meanLuma: null,
+      nearBlack: false,
+      blownOut: false,
+      hash: '',
+      error: null
+    };
+    let img;
+    try {
+      img = await loadImage(src, options);
+    } catch (err) {
+      result.error = err && err.message ? err.message : String(err);
+      return result;
+    }
+    result.width = img.naturalWidth || img.width || 0;
+    result.height = img.naturalHeight || img.height || 0;
+    result.aspectRatio = result.height ? result.width / result.height : 0;
+    try {
+      const data = readPixels(img, 32, 32);
+      if (data) {
+        let sum = 0;
+        let dark = 0;
+        let bright = 0;
+        const count = data.length / 4;
+        for (let i = 0; i < data.length; i += 4) {
+          const l = lumaAt(data, i);
+          sum += l;
+          if (l <= darkLuma) dark += 1;
+          if (l >= brightLuma) bright += 1;
+        }
+        result.meanLuma = Math.round(sum / count);
+        result.nearBlack = dark / count >= exposureRatio;
+        result.blownOut = bright / count >= exposureRatio;
+      }
+      result.hash = computeDHash(img);
+    } catch (err) {
+      result.error = 'pixels unavailable: ' + (err && err.message ? err.message : err);
+    }
+    return result;
+  }
+
+  function summarizeImages(images, options = {}) {
+    const maxDistance = options.maxHashDistance == null ? 5 : options.maxHashDistance;
+    const list = Array.isArray(images) ? images : [];
+    const sized = list.filter(i => i.width > 0 && i.height > 0);
+    const duplicates = [];
+    const dupIndexes = new Set();
+    for (let i = 0; i < list.length; i += 1) {
+      for (let j = i + 1; j < list.length; j += 1) {
+        const dist = hammingDistance(list[i].hash, list[j].hash);
+        if (dist <= maxDistance) {
+          duplicates.push({ a: i, b: j, distance: dist });
+          dupIndexes.add(j);
+        }
+      }
+    }
+    const pick = (fn, values) => (values.length ? fn.apply(null, values) : null);
+    return {
+      images: list,
+      duplicates,
+      fields: {
+        analyzedImageCount: list.length,
+        failedImages: list.filter(i => i.error && !i.width).length,
+        minImageWidth: pick(Math.min, sized.map(i => i.width)),
+        minImageHeight: pick(Math.min, sized.map(i => i.height)),
+        minImageAspect: pick(Math.min, sized.map(i => i.aspectRatio)),
+        maxImageAspect: pick(Math.max, sized.map(i => i.aspectRatio)),
+        maxImageElongation: pick(Math.max, sized.map(i => Math.max(i.aspectRatio, 1 / i.aspectRatio))),
+        darkImages: list.filter(i => i.nearBlack).length,
+        blownOutImages: list.filter(i => i.blownOut).length,
+        badExposureImages: list.filter(i => i.nearBlack || i.blownOut).length,
+        duplicateImages: dupIndexes.size
+      }
+    };
+  }
+
+  async function analyzeImages(srcs, options = {}) {
+    const list = Array.isArray(srcs) ? srcs : [];
+    const images = await asyncUtils.runWithConcurrency(list, src => analyzeImage(src, options), {
+      concurrency: options.concurrency == null ? 3 : options.concurrency
+    });
+    return summarizeImages(images, options);
+  }
+
+  async function enrichListingWithImages(listing, options = {}) {
+    if (!listing) return listing;
+    const srcs = Array.isArray(listing.imageUrls) && listing.imageUrls.length
+      ? listing.imageUrls
+      : (options.doc ? collectImageUrls(options.doc) : []);
+    const summary = await analyzeImages(srcs, options);
+    return Object.assign(listing, summary.fields);
+  }
+
+  KOTN.images = {
+    collectUrls: collectImageUrls,
+    load: loadImage,
+    analyze: analyzeImage,
+    analyzeAll: analyzeImages,
+    summarize: summarizeImages,
+    enrichListing: enrichListingWithImages,
+    dHash: computeDHash,
+    hammingDistance
+  };
+
+  // ============================================================
+  // Listing Parser Helpers
+  // ============================================================
+
+  function extractListingFromEdit(doc, id, options) {
+    const cfg = options || {};
+    const domRef = KOTN.dom;
+    const data = {
+      id: String(id),
+      title: '',
+      primaryCategory: '',
+      secondaryCategory: '',
+      categoryIdsJson: '',
+      auctionId: '',
+      auctionType: '',
+      shelfName: '',
+      lot: '',
+      pickingChannel: '',
+      productUrl: '',
+      itemConditionId: '',
+      packageConditionId: '',
+      itemConditionLabel: '',
+      packageConditionLabel: '',
+      macroNotes: '',
+      conditionNotes: '',
+      editorNotes: '',
+      staffNotes: '',
+      createdBy: '',
+      createdByRaw: '',
+      createdAtText: '',
+      isDraft: false,
+      toBeCleared: false,
+      isPublic: false,
+      imageCount: 0,
+      imageUrls: [],
+      categoryIds: []
+    };
+    const createdRow = doc.querySelector('.form-group.row span.col-form-label');
+    if (createdRow && createdRow.textContent && domRef.norm(createdRow.textContent).toLowerCase() === 'created by') {
+      const input = createdRow.parentElement && createdRow.parentElement.querySelector('.input-group input[disabled][type="text"]');
+      if (input && input.value) {
+        data.createdBy = input.value;
+        data.createdByRaw = input.value;
+      }
+    }
+    const auctionHiddenId = doc.querySelector('input[name="auction_id"]');
+    if (auctionHiddenId && auctionHiddenId.value) {
+      data.auctionId = String(auctionHiddenId.value);
+    }
+    const auctionTypeInput = doc.querySelector('#auctionType');
+    if (auctionTypeInput && auctionTypeInput.value) {
+      data.auctionType = String(auctionTypeInput.value);
+    }
+    const shelfInput = doc.querySelector('input[name="shelf_name"]');
+    if (shelfInput && shelfInput.value) {
+      data.shelfName = shelfInput.value;
+    }
+    const lotSelect = doc.querySelector('select[name="lot"]');
+    if (lotSelect && lotSelect.value) {
+      data.lot = lotSelect.value;
+    }
+    const channelFront = doc.querySelector('input[name="picking_channel"][value="front"]');
     const channelBack = doc.querySelector('input[name="picking_channel"][value="back"]');
     if (channelFront && channelFront.checked) {
       data.pickingChannel = 'front';
@@ -1939,6 +3786,7 @@ function matchShelfNameScope(name, scope) {
     const catIdsHidden = doc.querySelector('#categoryIdsJson');
     if (catIdsHidden && catIdsHidden.value) {
       data.categoryIdsJson = catIdsHidden.value;
+      data.categoryIds = parseCategoryIds(catIdsHidden.value);
     }
     const titleInput = doc.querySelector('input[name="title"]');
     if (titleInput && titleInput.value) {
@@ -1981,6 +3829,7 @@ function matchShelfNameScope(name, scope) {
       const n = parseInt(String(imageCountInput.value), 10);
       data.imageCount = Number.isFinite(n) ? n : 0;
     }
+    data.imageUrls = collectImageUrls(doc);
     const draftCheckbox = doc.querySelector('input[name="is_draft"]');
     if (draftCheckbox) {
       data.isDraft = !!draftCheckbox.checked;
@@ -2056,6 +3905,1104 @@ function matchShelfNameScope(name, scope) {
     loadFromEdit: loadListingFromEdit,
     collectIdsFromIndex: collectListingIdsFromIndex
   };
+
+  // ============================================================
+  // Duplicate Listing Helpers
+  // ============================================================
+
+  const maxCachedListings = 5000;
+
+  let listingCacheStore = null;
+
+  function getListingCacheStore() {
+    if (!listingCacheStore) {
+      listingCacheStore = createStore({ name: 'listing-cache', scope: 'local' });
+    }
+    return listingCacheStore;
+  }
+
+  function normalizeTitleKey(title) {
+    return search.normalize(String(title || '').replace(/[^A-Za-z0-9\s]+/g, ' '));
+  }
+
+  function normalizeProductUrl(url) {
+    const raw = dom.norm(url || '');
+    if (!raw) return '';
+    try {
+      const u = new URL(raw, window.location.origin);
+      const params = new URLSearchParams(u.search);
+      Array.from(params.keys()).forEach(k => {
+        if (/^(utm_|ref$|ref_|tag$|psc$)/i.test(k)) params.delete(k);
+      });
+      const query = params.toString();
+      const host = u.host.replace(/^www\./i, '');
+      return (host + u.pathname).toLowerCase().replace(/\/+$/, '') + (query ? '?' + query : '');
+    } catch (err) {
+      return raw.toLowerCase().replace(/#.*$/, '').replace(/\/+$/, '');
+    }
+  }
+
+  function titleSimilarity(a, b) {
+    const ta = new Set(normalizeTitleKey(a).split(' ').filter(Boolean));
+    const tb = new Set(normalizeTitleKey(b).split(' ').filter(Boolean));
+    if (!ta.size || !tb.size) return 0;
+    let shared = 0;
+    ta.forEach(t => {
+      if (tb.has(t)) shared += 1;
+    });
+    return (2 * shared) / (ta.size + tb.size);
+  }
+
+  function toCachedListing(listing) {
+    return {
+      id: String(listing.id),
+      title: listing.title || '',
+      productUrl: listing.productUrl || '',
+      auctionId: listing.auctionId || '',
+      lot: listing.lot || '',
+      shelfName: listing.shelfName || '',
+      cachedAt: new Date().toISOString()
+    };
+  }
+
+  function readListingCache() {
+    const items = getListingCacheStore().get('items', {});
+    return items && typeof items === 'object' ? items : {};
+  }
+
+  function cacheListings(listings) {
+    const list = Array.isArray(listings) ? listings : [listings];
+    const items = readListingCache();
+    list.forEach(l => {
+      if (!l || l.id == null) return;
+      items[String(l.id)] = toCachedListing(l);
+    });
+    const ids = Object.keys(items);
+    if (ids.length > maxCachedListings) {
+      ids.sort((a, b) => String(items[a].cachedAt).localeCompare(String(items[b].cachedAt)));
+      ids.slice(0, ids.length - maxCachedListings).forEach(id => delete items[id]);
+    }
+    getListingCacheStore().set('items', items);
+    return Object.keys(items).length;
+  }
+
+  async function refreshListingCache(indexUrl, options = {}) {
+    const ids = await collectListingIdsFromIndex(indexUrl, { timeoutMs: options.timeoutMs });
+    const loaded = [];
+    let failed = 0;
+    await asyncUtils.runWithConcurrency(ids, async id => {
+      try {
+        loaded.push(await loadListingFromEdit(id, { timeoutMs: options.timeoutMs }));
+      } catch (err) {
+        failed += 1;
+        console.warn('[KOTN duplicates] failed to load listing ' + id, err);
+      }
+    }, {
+      concurrency: options.concurrency == null ? 2 : options.concurrency,
+      onProgress: options.onProgress
+    });
+    cacheListings(loaded);
+    return { total: ids.length, cached: loaded.length, failed };
+  }
+
+  function findDuplicateListings(listing, options = {}) {
+    if (!listing) return [];
+    const threshold = options.threshold == null ? 0.9 : options.threshold;
+    const id = String(listing.id);
+    const url = normalizeProductUrl(listing.productUrl);
+    const titleKey = normalizeTitleKey(listing.title);
+    const items = options.items || readListingCache();
+    const out = [];
+    Object.keys(items).forEach(key => {
+      const other = items[key];
+      if (!other || String(other.id) === id) return;
+      const sameAuction = !!listing.auctionId && String(other.auctionId) === String(listing.auctionId);
+      const sameLot = !!listing.lot && String(other.lot) === String(listing.lot);
+      if (!sameAuction && !sameLot) return;
+      const scope = sameAuction ? 'auction' : 'lot';
+      if (url && normalizeProductUrl(other.productUrl) === url) {
+        out.push({ id: String(other.id), reason: 'productUrl', score: 1, scope, listing: other });
+        return;
+      }
+      if (!titleKey) return;
+      const score = normalizeTitleKey(other.title) === titleKey ? 1 : titleSimilarity(titleKey, other.title);
+      if (score >= threshold) {
+        out.push({ id: String(other.id), reason: 'title', score, scope, listing: other });
+      }
+    });
+    return out.sort((a, b) => b.score - a.score);
+  }
+
+  function attachDuplicateCheck(options = {}) {
+    const doc = options.doc || document;
+    const m = String(window.location.pathname).match(/\/management\/listings\/(\d+)\/edit/);
+    const id = options.id != null ? String(options.id) : (m ? m[1] : null);
+    const debounceMs = options.debounceMs == null ? 400 : options.debounceMs;
+    if (!id) {
+      throw new Error('attachDuplicateCheck requires a listing edit page or id');
+    }
+    const banner = dom.create('div', {
+      className: 'kotn-duplicate-warning',
+      style: {
+        display: 'none',
+        margin: '4px 0',
+        padding: '4px 8px',
+        fontSize: '12px',
+        background: '#fff3e0',
+        border: '1px solid #ffb74d',
+        borderRadius: '4px',
+        color: '#5d4037'
+      }
+    });
+    let timer = null;
+    let matches = [];
+
+    function placeBanner() {
+      const anchor = doc.querySelector('input[name="title"]');
+      if (anchor && banner.previousElementSibling !== anchor) {
+        anchor.insertAdjacentElement('afterend', banner);
+      }
+    }
+
+    function check() {
+      timer = null;
+      const listing = extractListingFromEdit(doc, id);
+      matches = findDuplicateListings(listing, options);
+      placeBanner();
+      banner.textContent = '';
+      if (!matches.length) {
+        banner.style.display = 'none';
+        return matches;
+      }
+      banner.appendChild(dom.create('div', {
+        textContent: 'Possible duplicate' + (matches.length === 1 ? '' : 's') + ' in the same ' + matches[0].scope + ':',
+        style: { fontWeight: '600' }
+      }));
+      matches.slice(0, 5).forEach(d => {
+        banner.appendChild(dom.create('div', {}, [
+          dom.create('a', {
+            href: '/management/listings/' + encodeURIComponent(d.id) + '/edit',
+            target: '_blank',
+            textContent: '#' + d.id
+          }),
+          ' ' + (d.listing.title || '') + ' (' + (d.reason === 'productUrl' ? 'same product URL' : Math.round(d.score * 100) + '% title match') + ')'
+        ]));
+      });
+      banner.style.display = '';
+      return matches;
+    }
+
+    function schedule(ev) {
+      const target = ev && ev.target;
+      if (target instanceof Element && !target.matches('input[name="title"], input[name="url"], select[name="lot"]')) return;
+      if (timer != null) clearTimeout(timer);
+      timer = setTimeout(check, debounceMs);
+    }
+
+    doc.addEventListener('input', schedule, true);
+    doc.addEventListener('change', schedule, true);
+    check();
+    return {
+      check,
+      getMatches() {
+        return matches.slice();
+      },
+      detach() {
+        if (timer != null) clearTimeout(timer);
+        doc.removeEventListener('input', schedule, true);
+        doc.removeEventListener('change', schedule, true);
+        banner.remove();
+      }
+    };
+  }
+
+  KOTN.duplicates = {
+    normalizeTitle: normalizeTitleKey,
+    normalizeUrl: normalizeProductUrl,
+    similarity: titleSimilarity,
+    readCache: readListingCache,
+    cache: cacheListings,
+    refreshCache: refreshListingCache,
+    find: findDuplicateListings,
+    attach: attachDuplicateCheck,
+    clearCache() {
+      getListingCacheStore().clear();
+    }
+  };
+
+  // ============================================================
+  // Shelf Occupancy Report
+  // ============================================================
+
+  const occupancyHeaders = [
+    'shelf',
+    'shelfId',
+    'count',
+    'capacity',
+    'free',
+    'fillPct',
+    'team',
+    'hasTeam',
+    'hasStaff',
+    'staff',
+    'flags'
+  ];
+
+  function readShelfCapacity(capacity, record, item) {
+    let value;
+    if (typeof capacity === 'function') {
+      value = capacity(record, item);
+    } else if (capacity instanceof Map) {
+      value = capacity.has(record.id) ? capacity.get(record.id) : capacity.get(normalizeShelfName(record.name));
+    } else if (capacity && typeof capacity === 'object') {
+      value = capacity[record.id] != null ? capacity[record.id] : capacity[normalizeShelfName(record.name)];
+    } else if (capacity != null) {
+      value = capacity;
+    } else if (item) {
+      value = item.capacity != null ? item.capacity : item.max_capacity;
+    }
+    const n = Number(value);
+    return value == null || value === '' || !Number.isFinite(n) ? null : n;
+  }
+
+  function collectShelfRowsByName(options) {
+    const rows = Array.isArray(options.rows) ? options.rows : readShelfRows(options.doc);
+    const map = new Map();
+    rows.forEach(row => {
+      const name = readShelfRowName(row);
+      if (name) map.set(normalizeShelfName(name), row);
+    });
+    return map;
+  }
+
+  function countListingsByShelfName(source, listings) {
+    const counts = new Map();
+    const unknown = new Map();
+    listings.forEach(l => {
+      const name = dom.norm(l && l.shelfName || '');
+      if (!name) return;
+      const resolved = resolveShelfName(source, name);
+      if (resolved.id && !resolved.ambiguous) {
+        counts.set(resolved.id, (counts.get(resolved.id) || 0) + 1);
+      } else {
+        const key = normalizeShelfName(name);
+        unknown.set(key, (unknown.get(key) || 0) + 1);
+      }
+    });
+    return { counts, unknown };
+  }
+
+  function withIndexPage(url, page) {
+    if (/\{page\}/.test(url)) return url.replace(/\{page\}/g, String(page));
+    if (/[?&]page=\d*/.test(url)) return url.replace(/([?&])page=\d*/, '$1page=' + page);
+    if (page === 1) return url;
+    return url + (url.includes('?') ? '&' : '?') + 'page=' + page;
+  }
+
+  async function countListingsOnIndex(url, options) {
+    const maxPages = options.maxPages == null ? 50 : options.maxPages;
+    const seen = new Set();
+    let pageSize = options.pageSize || 0;
+    for (let page = 1; page <= maxPages; page += 1) {
+      const ids = await collectListingIdsFromIndex(withIndexPage(url, page), { timeoutMs: options.timeoutMs });
+      const fresh = ids.filter(id => !seen.has(id));
+      fresh.forEach(id => seen.add(id));
+      if (!pageSize) pageSize = ids.length;
+      if (!fresh.length || fresh.length < pageSize) return seen.size;
+    }
+    console.warn('[KOTN shelves] stopped counting ' + url + ' after ' + maxPages + ' pages');
+    return null;
+  }
+
+  async function countListingsByShelfIndex(records, options) {
+    const counts = new Map();
+    const template = String(options.indexUrl);
+    await asyncUtils.runWithConcurrency(records, async record => {
+      const url = template.replace(/\{shelf\}/g, encodeURIComponent(record.name)).replace(/\{id\}/g, encodeURIComponent(record.id));
+      try {
+        const count = await countListingsOnIndex(url, options);
+        if (count != null) counts.set(record.id, count);
+      } catch (err) {
+        console.warn('[KOTN shelves] could not count listings on ' + record.name, err);
+      }
+    }, {
+      concurrency: options.concurrency == null ? 2 : options.concurrency,
+      onProgress: options.onProgress
+    });
+    return counts;
+  }
+
+  async function buildShelfOccupancyReport(options = {}) {
+    const source = options.index || await loadShelfIndex({ force: !!options.refresh });
+    let records = (source.items || []).map(readShelfRecord).filter(Boolean);
+    if (options.scope) {
+      const names = new Set(filterShelfNamesByScope(records.map(r => r.name), options.scope));
+      records = records.filter(r => names.has(r.name));
+    }
+    let counts;
+    let unknown = new Map();
+    let method;
+    let complete = false;
+    if (options.indexUrl) {
+      method = 'index';
+      counts = await countListingsByShelfIndex(records, options);
+    } else {
+      method = 'snapshots';
+      const listings = Array.isArray(options.listings) ? options.listings : Object.values(readListingCache());
+      const tally = countListingsByShelfName(source, listings);
+      counts = tally.counts;
+      unknown = tally.unknown;
+      complete = options.complete != null ? !!options.complete : Array.isArray(options.listings);
+    }
+    const overfullAt = options.overfullAt == null ? 1 : options.overfullAt;
+    const rowsByName = collectShelfRowsByName(options);
+    const rows = records.sort(compareShelfRecords).map(record => {
+      const item = getShelfRecordById(source, record.id);
+      const row = rowsByName.get(normalizeShelfName(record.name)) || null;
+      const count = counts.has(record.id) ? counts.get(record.id) : (complete ? 0 : null);
+      const capacity = readShelfCapacity(options.capacity, record, item);
+      const hasTeam = row ? readShelfRowHasTeam(row) : !!record.team;
+      const hasStaff = row ? readShelfRowHasStaff(row) : (record.staff ? record.staff.length > 0 : null);
+      const flags = [];
+      if (count != null && capacity != null && count > capacity * overfullAt) flags.push('overfull');
+      if (count === 0) flags.push('empty');
+      if (!hasTeam && hasStaff === false) flags.push('unassigned');
+      return {
+        shelf: record.name,
+        shelfId: record.id,
+        count,
+        capacity,
+        free: count != null && capacity != null ? capacity - count : null,
+        fillPct: count != null && capacity ? Math.round((count / capacity) * 100) : null,
+        team: record.team,
+        hasTeam,
+        hasStaff,
+        staff: record.staff ? record.staff.join(' ') : '',
+        flags
+      };
+    });
+    const totals = {
+      shelves: rows.length,
+      listings: rows.reduce((sum, r) => sum + (r.count || 0), 0),
+      overfull: rows.filter(r => r.flags.includes('overfull')).length,
+      empty: rows.filter(r => r.flags.includes('empty')).length,
+      unassigned: rows.filter(r => r.flags.includes('unassigned')).length,
+      unknownCounts: rows.filter(r => r.count == null).length,
+      unknownListings: Array.from(unknown.values()).reduce((sum, n) => sum + n, 0)
+    };
+    return {
+      generatedAt: new Date().toISOString(),
+      method,
+      rows,
+      totals,
+      unknownShelves: Array.from(unknown.entries()).map(([name, count]) => ({ name, count }))
+    };
+  }
+
+  function occupancyToRows(report) {
+    return (report && Array.isArray(report.rows) ? report.rows : []).map(r => Object.assign({}, r, {
+      hasTeam: r.hasTeam ? 'yes' : 'no',
+      hasStaff: r.hasStaff == null ? '' : (r.hasStaff ? 'yes' : 'no'),
+      flags: r.flags.join(' ')
+    }));
+  }
+
+  function exportOccupancyCSV(report, filename) {
+    const name = filename || 'shelf-occupancy-' + new Date().toISOString().slice(0, 10) + '.csv';
+    downloadCSV(name, occupancyToRows(report), occupancyHeaders);
+  }
+
+  function openOccupancyPanel(options = {}) {
+    const ui = createPanel({
+      id: 'shelf-occupancy',
+      title: 'Shelf Occupancy'
+    });
+    const inputStyle = { width: '100%', boxSizing: 'border-box', marginBottom: '4px' };
+    const scopeInput = dom.create('input', { type: 'text', placeholder: 'scope (blank = all shelves)', style: inputStyle });
+    const urlInput = dom.create('input', { type: 'text', placeholder: 'index URL with {shelf} (blank = cached listings)', value: options.indexUrl || '', style: inputStyle });
+    const capacityInput = dom.create('input', { type: 'number', placeholder: 'default capacity', value: options.capacity == null ? '' : String(options.capacity), style: inputStyle });
+    const runBtn = dom.create('button', { type: 'button', textContent: 'Build report' });
+    const exportBtn = dom.create('button', { type: 'button', textContent: 'Export CSV', disabled: true, style: { marginLeft: '4px' } });
+    const status = dom.create('div', { style: { margin: '4px 0', color: '#aaa', whiteSpace: 'pre-wrap' } });
+    const list = dom.create('div', { style: { whiteSpace: 'pre-wrap', fontFamily: 'monospace' } });
+    let report = null;
+
+    [scopeInput, urlInput, capacityInput, dom.create('div', {}, [runBtn, exportBtn]), status, list].forEach(el => ui.body.appendChild(el));
+
+    runBtn.addEventListener('click', async () => {
+      runBtn.disabled = true;
+      status.textContent = 'Counting…';
+      try {
+        const capacity = capacityInput.value === '' ? undefined : Number(capacityInput.value);
+        report = await buildShelfOccupancyReport({
+          scope: dom.norm(scopeInput.value) || null,
+          indexUrl: dom.norm(urlInput.value) || null,
+          capacity: capacity == null ? undefined : (record, item) => (item && item.capacity != null ? item.capacity : capacity),
+          onProgress: p => { status.textContent = 'Counting ' + p.completed + '/' + p.total; }
+        });
+        const t = report.totals;
+        status.textContent = t.shelves + ' shelves, ' + t.listings + ' listings (' + report.method + ')\n'
+          + t.overfull + ' overfull, ' + t.empty + ' empty, ' + t.unassigned + ' unassigned'
+          + (t.unknownCounts ? '\n' + t.unknownCounts + ' shelf count(s) unknown' + (report.method === 'snapshots' ? ' (no cached listings; use an index URL to count them)' : '') : '')
+          + (t.unknownListings ? '\n' + t.unknownListings + ' listing(s) on unknown shelves' : '');
+        list.textContent = report.rows.filter(r => r.flags.length).map(r => r.shelf + ' ' + (r.count == null ? '?' : r.count) + (r.capacity != null ? '/' + r.capacity : '') + ' ' + r.flags.join(' ')).join('\n');
+        exportBtn.disabled = false;
+      } catch (err) {
+        status.textContent = err && err.message ? err.message : String(err);
+      }
+      runBtn.disabled = false;
+    });
+    exportBtn.addEventListener('click', () => {
+      if (report) exportOccupancyCSV(report);
+    });
+    return ui;
+  }
+
+  KOTN.shelves.occupancy = {
+    headers: occupancyHeaders,
+    build: buildShelfOccupancyReport,
+    toRows: occupancyToRows,
+    exportCSV: exportOccupancyCSV,
+    openPanel: openOccupancyPanel
+  };
+
+  // ============================================================
+  // Shelf Name Validation
+  // ============================================================
+
+  function validateShelfName(source, value, options = {}) {
+    const text = dom.norm(value || '');
+    const parts = parseShelfName(text);
+    const result = {
+      value: text,
+      valid: false,
+      format: parts.number != null,
+      exists: false,
+      name: null,
+      id: null,
+      suggestions: [],
+      message: ''
+    };
+    if (!text) {
+      result.valid = !options.required;
+      result.message = options.required ? 'Shelf is required' : '';
+      return result;
+    }
+    const resolved = resolveShelfName(source, text);
+    result.suggestions = resolved.suggestions;
+    if (resolved.id && !resolved.ambiguous) {
+      result.exists = true;
+      result.name = resolved.name;
+      result.id = resolved.id;
+      result.valid = resolved.exact && result.format;
+      if (!resolved.exact) {
+        result.message = 'Did you mean ' + resolved.name + '?';
+        result.suggestions = [{ name: resolved.name, id: resolved.id, distance: 0 }];
+      } else if (!result.format) {
+        result.message = 'Shelf names look like A12 or A12B';
+      }
+      return result;
+    }
+    if (!result.format) {
+      result.message = 'Shelf names look like A12 or A12B';
+    } else {
+      result.message = 'Shelf ' + normalizeShelfName(text) + ' does not exist';
+    }
+    if (result.suggestions.length) {
+      result.message += ' — did you mean ' + result.suggestions.slice(0, 3).map(s => s.name).join(', ') + '?';
+    }
+    return result;
+  }
+
+  function inferShelfTeam(records, userId) {
+    const counts = new Map();
+    records.forEach(r => {
+      if (!r.team || !r.staff || !r.staff.includes(userId)) return;
+      counts.set(r.team, (counts.get(r.team) || 0) + 1);
+    });
+    let best = null;
+    counts.forEach((n, team) => {
+      if (!best || n > counts.get(best)) best = team;
+    });
+    return best;
+  }
+
+  function rankShelvesWithSpace(source, near, options = {}) {
+    const limit = options.limit == null ? 5 : options.limit;
+    const ownedBonus = options.ownedBonus == null ? 5 : options.ownedBonus;
+    const records = (source.items || []).map(readShelfRecord).filter(Boolean);
+    const userId = options.userId == null ? null : String(options.userId);
+    const teamCode = options.teamCode || (userId ? inferShelfTeam(records, userId) : null);
+    const report = options.report || null;
+    const byId = new Map(report ? report.rows.map(r => [r.shelfId, r]) : []);
+    const target = parseShelfName(near);
+    const targetPrefix = normalizeScopePrefix(target.prefix);
+    const out = [];
+    records.forEach(record => {
+      const parts = parseShelfName(record.name);
+      if (parts.number == null) return;
+      if (options.exclude && normalizeShelfName(record.name) === normalizeShelfName(options.exclude)) return;
+      const row = byId.get(record.id);
+      const free = row ? row.free : null;
+      if (free != null && free <= 0) return;
+      const owned = (!!teamCode && record.team === teamCode) || (!!userId && !!record.staff && record.staff.includes(userId));
+      const prefix = normalizeScopePrefix(parts.prefix);
+      let distance;
+      if (!targetPrefix) {
+        distance = 0;
+      } else if (prefix === targetPrefix) {
+        distance = target.number == null ? 0 : Math.abs(parts.number - target.number);
+      } else {
+        distance = 1000 + 100 * Math.abs(prefix.charCodeAt(0) - targetPrefix.charCodeAt(0)) + parts.number;
+      }
+      if (options.samePrefixOnly && targetPrefix && prefix !== targetPrefix) return;
+      out.push({
+        name: record.name,
+        id: record.id,
+        free,
+        owned,
+        distance,
+        score: distance - (owned ? ownedBonus : 0)
+      });
+    });
+    out.sort((a, b) => a.score - b.score || (b.free == null ? -1 : b.free) - (a.free == null ? -1 : a.free) || compareShelfRecords(a, b));
+    return out.slice(0, limit);
+  }
+
+  function shelfIndexHasCapacity(source, capacity) {
+    if (capacity != null) return true;
+    return (source && Array.isArray(source.items) ? source.items : []).some(o => o && (o.capacity != null || o.max_capacity != null));
+  }
+
+  function attachShelfNameCheck(options = {}) {
+    const doc = options.doc || document;
+    const input = options.input || doc.querySelector('#shelf_name');
+    const debounceMs = options.debounceMs == null ? 300 : options.debounceMs;
+    const blockSubmit = options.blockSubmit !== false;
+    if (!input) {
+      throw new Error('attachShelfNameCheck requires #shelf_name');
+    }
+    const hint = dom.create('div', {
+      className: 'kotn-shelf-check',
+      style: {
+        display: 'none',
+        margin: '4px 0',
+        padding: '4px 8px',
+        fontSize: '12px',
+        borderRadius: '4px'
+      }
+    });
+    input.insertAdjacentElement('afterend', hint);
+    let source = null;
+    let report = options.report || null;
+    let profile = options.userId != null ? { id: options.userId } : null;
+    let profileRequest = null;
+    let result = null;
+    let timer = null;
+
+    function pick(name) {
+      input.value = name;
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    function chip(s, title) {
+      const btn = dom.create('button', {
+        type: 'button',
+        textContent: s.name + (s.free != null ? ' (' + s.free + ' free)' : '') + (s.owned ? ' ★' : ''),
+        title: title || '',
+        style: { margin: '2px 4px 0 0', fontSize: '11px' }
+      });
+      btn.addEventListener('click', () => pick(s.name));
+      return btn;
+    }
+
+    function requestProfile() {
+      if (profile || profileRequest) return;
+      profileRequest = getAuthProfile().then(user => {
+        profile = user;
+        if (user) render();
+      }).catch(err => {
+        console.warn('[KOTN shelves] could not read user for shelf ranking', err);
+      });
+    }
+
+    function render() {
+      hint.textContent = '';
+      if (!result || !source || !result.value) {
+        input.style.outline = '';
+        hint.style.display = 'none';
+        return;
+      }
+      const nearby = rankShelvesWithSpace(source, result.name || result.value, {
+        report,
+        userId: profile ? profile.id : null,
+        teamCode: options.teamCode,
+        exclude: result.valid ? result.name : null,
+        limit: options.limit
+      });
+      input.style.outline = result.valid ? '' : '2px solid #e53935';
+      hint.style.background = result.valid ? '#f1f8e9' : '#ffebee';
+      hint.style.border = '1px solid ' + (result.valid ? '#aed581' : '#ef9a9a');
+      hint.style.color = result.valid ? '#33691e' : '#b71c1c';
+      if (!result.valid) {
+        hint.appendChild(dom.create('div', { textContent: result.message, style: { fontWeight: '600' } }));
+        result.suggestions.slice(0, 3).forEach(s => hint.appendChild(chip(s, 'Did you mean')));
+      }
+      if (nearby.length) {
+        requestProfile();
+        const label = nearby.some(s => s.free != null) ? 'Nearby shelves with space:' : 'Nearby shelves:';
+        hint.appendChild(dom.create('div', { textContent: label, style: { marginTop: '2px' } }));
+        nearby.forEach(s => hint.appendChild(chip(s)));
+      }
+      hint.style.display = hint.firstChild ? '' : 'none';
+    }
+
+    function check() {
+      timer = null;
+      if (!source) return null;
+      result = validateShelfName(source, input.value, { required: options.required });
+      render();
+      return result;
+    }
+
+    function schedule() {
+      if (timer != null) clearTimeout(timer);
+      timer = setTimeout(check, debounceMs);
+    }
+
+    function onSubmit(ev) {
+      if (!blockSubmit || !source || hasSubmitPass('shelf-name')) return;
+      if (timer != null || !result) check();
+      if (result && result.valid) return;
+      ev.preventDefault();
+      ev.stopImmediatePropagation();
+      const trigger = ev.type === 'click' ? ev.currentTarget : null;
+      const passes = readSubmitPasses();
+      loadShelfIndex({ force: true }).then(fresh => {
+        if (!fresh || !fresh.items.length) throw new Error('shelf index is empty');
+        source = fresh;
+        check();
+        if (!result || !result.valid) {
+          input.focus();
+          return;
+        }
+        resubmit('shelf-name', passes, trigger, input.form);
+      }).catch(err => {
+        console.warn('[KOTN shelves] could not recheck shelf name, submitting anyway', err);
+        resubmit('shelf-name', passes, trigger, input.form);
+      });
+    }
+
+    const submitBtn = doc.getElementById('submitButton');
+    input.addEventListener('input', schedule);
+    input.addEventListener('change', schedule);
+    if (submitBtn) submitBtn.addEventListener('click', onSubmit, true);
+    if (input.form) input.form.addEventListener('submit', onSubmit, true);
+
+    const ready = (options.index ? Promise.resolve(options.index) : loadShelfIndex()).then(index => Promise.all([
+      index,
+      report || !shelfIndexHasCapacity(index, options.capacity) ? report : buildShelfOccupancyReport({ index, capacity: options.capacity, doc }).catch(err => {
+        console.warn('[KOTN shelves] could not build occupancy for shelf name check', err);
+        return null;
+      })
+    ])).then(([index, rep]) => {
+      source = index;
+      report = rep;
+      return input.value ? check() : null;
+    }).catch(err => {
+      console.warn('[KOTN shelves] shelf name check unavailable', err);
+      return null;
+    });
+
+    return {
+      ready,
+      check,
+      getResult() {
+        return result;
+      },
+      detach() {
+        if (timer != null) clearTimeout(timer);
+        input.removeEventListener('input', schedule);
+        input.removeEventListener('change', schedule);
+        if (submitBtn) submitBtn.removeEventListener('click', onSubmit, true);
+        if (input.form) input.form.removeEventListener('submit', onSubmit, true);
+        input.style.outline = '';
+        hint.remove();
+      }
+    };
+  }
+
+  Object.assign(KOTN.shelves, {
+    validateName: validateShelfName,
+    rankWithSpace: rankShelvesWithSpace,
+    attachNameCheck: attachShelfNameCheck
+  });
+
+  // ============================================================
+  // Shelf Filter Panel
+  // ============================================================
+
+  const shelfFilterFields = ['prefix', 'nums', 'letters', 'includeRegex', 'excludeRegex', 'hasStaff', 'hasTeam'];
+
+  let shelfFilterStore = null;
+
+  function getShelfFilterStore() {
+    if (!shelfFilterStore) {
+      shelfFilterStore = createStore({ name: 'shelf-filter-presets', scope: 'local' });
+    }
+    return shelfFilterStore;
+  }
+
+  function readShelfRows(doc) {
+    return dom.qsa('.shelf-col.name', doc || document).map(cell => cell.parentElement).filter(Boolean);
+  }
+
+  function shelfFilterPresetKey(user) {
+    if (!user || user.id == null) {
+      throw new Error('shelf filter presets require a user with an id');
+    }
+    return 'user:' + user.id;
+  }
+
+  function listShelfFilterPresets(user) {
+    if (!user || user.id == null) return {};
+    const presets = getShelfFilterStore().get(shelfFilterPresetKey(user), {});
+    return presets && typeof presets === 'object' ? presets : {};
+  }
+
+  function saveShelfFilterPreset(user, name, filter) {
+    const presetName = dom.norm(name || '');
+    if (!presetName) {
+      throw new Error('saveShelfFilterPreset requires name');
+    }
+    const key = shelfFilterPresetKey(user);
+    const presets = listShelfFilterPresets(user);
+    presets[presetName] = shelfFilterFields.reduce((out, f) => {
+      if (filter[f] != null && filter[f] !== '') out[f] = filter[f];
+      return out;
+    }, {});
+    getShelfFilterStore().set(key, presets);
+    return presets;
+  }
+
+  function removeShelfFilterPreset(user, name) {
+    const key = shelfFilterPresetKey(user);
+    const presets = listShelfFilterPresets(user);
+    delete presets[name];
+    getShelfFilterStore().set(key, presets);
+    return presets;
+  }
+
+  function openShelfFilterPanel(options = {}) {
+    const doc = options.doc || document;
+    const getRows = typeof options.getRows === 'function' ? options.getRows : () => readShelfRows(doc);
+    const ui = createPanel({
+      id: 'shelf-filter',
+      title: 'Shelf Filter'
+    });
+    const collapsible = makeCollapsible({
+      id: 'shelf-filter',
+      title: 'Shelf Filter',
+      panel: ui.panel,
+      header: ui.header,
+      miniLabel: 'Shelves'
+    });
+    const inputStyle = { width: '100%', boxSizing: 'border-box', marginBottom: '4px' };
+    const inputs = {
+      prefix: dom.create('input', { type: 'text', placeholder: 'prefix (e.g. A)', style: inputStyle }),
+      nums: dom.create('input', { type: 'text', placeholder: 'numbers (e.g. 1-20,25)', style: inputStyle }),
+      letters: dom.create('input', { type: 'text', placeholder: 'suffix letters (e.g. A-C)', style: inputStyle }),
+      includeRegex: dom.create('input', { type: 'text', placeholder: 'include regex', style: inputStyle }),
+      excludeRegex: dom.create('input', { type: 'text', placeholder: 'exclude regex', style: inputStyle }),
+      hasStaff: dom.create('select', { style: inputStyle }, [
+        dom.create('option', { value: '', textContent: 'Staff: any' }),
+        dom.create('option', { value: 'true', textContent: 'Staff: assigned' }),
+        dom.create('option', { value: 'false', textContent: 'Staff: none' })
+      ]),
+      hasTeam: dom.create('select', { style: inputStyle }, [
+        dom.create('option', { value: '', textContent: 'Team: any' }),
+        dom.create('option', { value: 'true', textContent: 'Team: assigned' }),
+        dom.create('option', { value: 'false', textContent: 'Team: none' })
+      ])
+    };
+    const presetSelect = dom.create('select', { style: { width: '100%', boxSizing: 'border-box' } });
+    const presetName = dom.create('input', { type: 'text', placeholder: 'preset name', style: { width: '100%', boxSizing: 'border-box', margin: '4px 0' } });
+    const savePresetBtn = dom.create('button', { type: 'button', textContent: 'Save preset' });
+    const deletePresetBtn = dom.create('button', { type: 'button', textContent: 'Delete', style: { marginLeft: '4px' } });
+    const clearBtn = dom.create('button', { type: 'button', textContent: 'Clear filter', style: { marginLeft: '4px' } });
+    const count = dom.create('div', { style: { margin: '4px 0', fontWeight: '600' } });
+    const selectAllBtn = dom.create('button', { type: 'button', textContent: 'Select visible' });
+    const selectNoneBtn = dom.create('button', { type: 'button', textContent: 'Select none', style: { marginLeft: '4px' } });
+    const teamInput = dom.create('input', { type: 'text', placeholder: 'team code', style: inputStyle });
+    const staffList = parseStaffDropdown(options.staffSelect || doc.querySelector('select[name="staff_id"], select.staff-select'));
+    const staffInput = staffList.length
+      ? dom.create('select', { style: inputStyle }, staffList.map(s => dom.create('option', { value: String(s.id), textContent: s.label })))
+      : dom.create('input', { type: 'text', placeholder: 'staff id', style: inputStyle });
+    const actionBtns = {
+      assignTeam: dom.create('button', { type: 'button', textContent: 'Assign team' }),
+      clearTeam: dom.create('button', { type: 'button', textContent: 'Clear team', style: { marginLeft: '4px' } }),
+      assignStaff: dom.create('button', { type: 'button', textContent: 'Assign staff' }),
+      removeStaff: dom.create('button', { type: 'button', textContent: 'Remove staff', style: { marginLeft: '4px' } })
+    };
+    const status = dom.create('div', { style: { margin: '4px 0', color: '#aaa', whiteSpace: 'pre-wrap' } });
+    const log = createActivityLog({ id: 'shelf-filter' });
+    let user = null;
+
+    [
+      presetSelect,
+      presetName,
+      dom.create('div', {}, [savePresetBtn, deletePresetBtn, clearBtn]),
+      inputs.prefix,
+      inputs.nums,
+      inputs.letters,
+      inputs.includeRegex,
+      inputs.excludeRegex,
+      inputs.hasStaff,
+      inputs.hasTeam,
+      count,
+      dom.create('div', { style: { marginBottom: '4px' } }, [selectAllBtn, selectNoneBtn]),
+      teamInput,
+      dom.create('div', { style: { marginBottom: '4px' } }, [actionBtns.assignTeam, actionBtns.clearTeam]),
+      staffInput,
+      dom.create('div', {}, [actionBtns.assignStaff, actionBtns.removeStaff]),
+      status,
+      log.box
+    ].forEach(el => ui.body.appendChild(el));
+
+    function readFilter() {
+      const filter = {};
+      ['prefix', 'nums', 'letters', 'includeRegex', 'excludeRegex'].forEach(f => {
+        const v = dom.norm(inputs[f].value);
+        if (v) filter[f] = v;
+      });
+      ['hasStaff', 'hasTeam'].forEach(f => {
+        if (inputs[f].value) filter[f] = inputs[f].value === 'true';
+      });
+      return filter;
+    }
+
+    function writeFilter(filter) {
+      shelfFilterFields.forEach(f => {
+        const v = filter ? filter[f] : null;
+        inputs[f].value = v == null ? '' : String(v);
+      });
+    }
+
+    function rowCheckbox(row) {
+      let box = row.querySelector('.kotn-shelf-select');
+      if (!box) {
+        box = dom.create('input', { type: 'checkbox', className: 'kotn-shelf-select', style: { marginRight: '4px' } });
+        box.addEventListener('change', updateCount);
+        const cell = row.querySelector('.shelf-col.name') || row;
+        cell.insertBefore(box, cell.firstChild);
+      }
+      return box;
+    }
+
+    function selectedRows() {
+      return getRows().filter(row => row.style.display !== 'none' && rowCheckbox(row).checked);
+    }
+
+    function updateCount() {
+      const rows = getRows();
+      const visible = rows.filter(row => row.style.display !== 'none');
+      const selected = visible.filter(row => rowCheckbox(row).checked);
+      count.textContent = visible.length + ' of ' + rows.length + ' shelves match' + (selected.length ? ', ' + selected.length + ' selected' : '');
+    }
+
+    function apply() {
+      const filter = readFilter();
+      const rows = getRows();
+      let bad = false;
+      ['includeRegex', 'excludeRegex'].forEach(f => {
+        if (!filter[f]) return;
+        try {
+          new RegExp(filter[f]);
+          inputs[f].style.outline = '';
+        } catch (err) {
+          bad = true;
+          inputs[f].style.outline = '2px solid #e53935';
+        }
+      });
+      if (bad) return;
+      const matched = new Set(filterShelfRows(rows, filter));
+      rows.forEach(row => {
+        rowCheckbox(row);
+        row.style.display = matched.has(row) ? '' : 'none';
+      });
+      updateCount();
+    }
+
+    function fillPresets(selected) {
+      const presets = listShelfFilterPresets(user);
+      presetSelect.textContent = '';
+      presetSelect.appendChild(dom.create('option', { value: '', textContent: '(presets)' }));
+      Object.keys(presets).sort().forEach(name => {
+        presetSelect.appendChild(dom.create('option', { value: name, textContent: name, selected: name === selected }));
+      });
+    }
+
+    function markRows(plan, results) {
+      const ok = new Set(results.filter(r => r.ok).map(r => r.id));
+      const byName = new Map(getRows().map(row => [normalizeShelfName(readShelfRowName(row)), row]));
+      plan.entries.forEach(entry => {
+        const row = byName.get(normalizeShelfName(entry.name));
+        if (!row || (entry.changed && !ok.has(entry.id))) return;
+        if (plan.action === 'assignTeam' || plan.action === 'clearTeam') {
+          row.dataset.kHasTeam = plan.action === 'assignTeam' ? '1' : '0';
+        } else if (entry.newStaff) {
+          row.dataset.kHasStaff = entry.newStaff.length ? '1' : '0';
+        }
+      });
+    }
+
+    async function runAction(action) {
+      const rows = selectedRows();
+      const names = rows.map(readShelfRowName).filter(Boolean);
+      if (!names.length) {
+        status.textContent = 'Select shelves first';
+        return;
+      }
+      let plan;
+      try {
+        plan = await planShelfAssignment({
+          names,
+          action,
+          teamCode: teamInput.value,
+          staffId: staffInput.value,
+          refresh: true
+        });
+      } catch (err) {
+        status.textContent = err && err.message ? err.message : String(err);
+        return;
+      }
+      const lines = plan.entries.filter(e => e.changed).map(describeShelfPlanEntry);
+      const note = plan.unresolved.length ? '\nNot in shelf index: ' + plan.unresolved.join(', ') : '';
+      if (!plan.summary.changed) {
+        status.textContent = 'Nothing to change for ' + plan.summary.matched + ' shelves' + note;
+        return;
+      }
+      const preview = lines.slice(0, 15).join('\n') + (lines.length > 15 ? '\n… ' + (lines.length - 15) + ' more' : '');
+      if (!window.confirm('Apply ' + plan.summary.ops + ' change(s) to ' + plan.summary.changed + ' shelf(s)?\n\n' + preview + note)) return;
+      Object.values(actionBtns).forEach(b => { b.disabled = true; });
+      log.log(action + ' on ' + plan.scope + ' (' + plan.summary.changed + ' shelves)');
+      try {
+        const result = await applyShelfPlan(plan, {
+          onProgress: p => { status.textContent = 'Applying ' + p.completed + '/' + p.total; },
+          onResult: r => { if (!r.ok) log.log('Failed ' + r.name + ': ' + r.error); }
+        });
+        markRows(plan, result.results);
+        status.textContent = 'Done: ' + result.ok + ' ok, ' + result.failed + ' failed' + note;
+        log.log('Done ' + plan.scope + ': ' + result.ok + ' ok, ' + result.failed + ' failed');
+      } catch (err) {
+        const message = err && err.message ? err.message : String(err);
+        status.textContent = 'Apply failed: ' + message;
+        log.log('Apply failed on ' + plan.scope + ': ' + message);
+      } finally {
+        Object.values(actionBtns).forEach(b => { b.disabled = false; });
+        apply();
+      }
+    }
+
+    shelfFilterFields.forEach(f => {
+      inputs[f].addEventListener('input', apply);
+      inputs[f].addEventListener('change', apply);
+    });
+    presetSelect.addEventListener('change', () => {
+      const preset = listShelfFilterPresets(user)[presetSelect.value];
+      presetName.value = presetSelect.value;
+      if (preset) {
+        writeFilter(preset);
+        apply();
+      }
+    });
+    savePresetBtn.addEventListener('click', () => {
+      const name = dom.norm(presetName.value || presetSelect.value);
+      if (!name) {
+        status.textContent = 'Enter a preset name';
+        return;
+      }
+      saveShelfFilterPreset(user, name, readFilter());
+      fillPresets(name);
+      status.textContent = 'Saved preset ' + name;
+    });
+    deletePresetBtn.addEventListener('click', () => {
+      if (!presetSelect.value) return;
+      removeShelfFilterPreset(user, presetSelect.value);
+      presetName.value = '';
+      fillPresets('');
+    });
+    clearBtn.addEventListener('click', () => {
+      writeFilter(null);
+      presetSelect.value = '';
+      apply();
+    });
+    selectAllBtn.addEventListener('click', () => {
+      getRows().forEach(row => {
+        rowCheckbox(row).checked = row.style.display !== 'none';
+      });
+      updateCount();
+    });
+    selectNoneBtn.addEventListener('click', () => {
+      getRows().forEach(row => {
+        rowCheckbox(row).checked = false;
+      });
+      updateCount();
+    });
+    Object.keys(actionBtns).forEach(action => {
+      actionBtns[action].addEventListener('click', () => runAction(action));
+    });
+
+    [presetSelect, savePresetBtn, deletePresetBtn].forEach(el => { el.disabled = true; });
+    fillPresets('');
+    apply();
+    const ready = (options.user ? Promise.resolve(options.user) : getAuthProfile()).then(profile => {
+      if (!profile || profile.id == null) {
+        throw new Error('profile has no user id');
+      }
+      user = profile;
+      fillPresets('');
+      [presetSelect, savePresetBtn, deletePresetBtn].forEach(el => { el.disabled = false; });
+      return profile;
+    }).catch(err => {
+      status.textContent = 'Presets unavailable: could not read your profile (' + (err && err.message ? err.message : err) + ')';
+      return null;
+    });
+
+    return {
+      ui,
+      collapsible,
+      ready,
+      apply,
+      readFilter,
+      writeFilter,
+      selectedRows,
+      detach() {
+        getRows().forEach(row => {
+          row.style.display = '';
+          const box = row.querySelector('.kotn-shelf-select');
+          if (box) box.remove();
+        });
+        collapsible.mini.remove();
+        ui.panel.remove();
+      }
+    };
+  }
+
+  Object.assign(KOTN.shelves, {
+    readRows: readShelfRows,
+    presets: {
+      list: listShelfFilterPresets,
+      save: saveShelfFilterPreset,
+      remove: removeShelfFilterPreset
+    },
+    openFilterPanel: openShelfFilterPanel
+  });
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KOTN;
+  }
 })();
 
 
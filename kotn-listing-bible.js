@@ -1,17 +1,18 @@
 // KOTN Listing Bible
-// v0.2.0
+// v0.7.0
 
 (function () {
   'use strict';
 
-  const KOTN = (window.KOTN = window.KOTN || {});
+  const globalScope = typeof window !== 'undefined' ? window : globalThis;
+  const KOTN = (globalScope.KOTN = globalScope.KOTN || {});
 
   // ============================================================
   // Listing Bible Rules
   // ============================================================
 
   const listingBible = {
-    version: '0.2.0',
+    version: '0.7.0',
     rules: [
       {
         id: 'title-min-length',
@@ -19,7 +20,27 @@
         type: 'minLength',
         value: 20,
         severity: 'warning',
-        message: 'Title is very short; consider adding more detail.'
+        message: 'Title is very short; consider adding more detail.',
+        examples: {
+          pass: [{ title: 'Nike Dri-FIT running shirt blue M' }],
+          fail: [{ title: 'Nike shirt' }, { title: '' }]
+        }
+      },
+      {
+        id: 'title-extra-whitespace',
+        field: 'title',
+        type: 'regexFound',
+        pattern: '^\\s|\\s$|\\s{2,}',
+        severity: 'warning',
+        message: 'Title has leading, trailing or repeated spaces.',
+        fix: {
+          type: 'collapseWhitespace',
+          label: 'Clean up spaces'
+        },
+        examples: {
+          pass: [{ title: 'Nike running shirt blue M' }],
+          fail: [{ title: 'Nike  running shirt' }, { title: ' Nike running shirt' }, { title: 'Nike running shirt ' }]
+        }
       },
       {
         id: 'title-max-length',
@@ -27,7 +48,11 @@
         type: 'maxLength',
         value: 160,
         severity: 'warning',
-        message: 'Title is very long; consider trimming.'
+        message: 'Title is very long; consider trimming.',
+        examples: {
+          pass: [{ title: 'Nike running shirt blue M' }],
+          fail: [{ title: 'Nike running shirt '.repeat(9) }]
+        }
       },
       {
         id: 'notes-required-for-issue-condition',
@@ -37,22 +62,2535 @@
         where: {
           itemConditionContains: ['issue', 'used', 'damaged', 'defect']
         },
-        message: 'Lister notes are required when item condition indicates an issue.'
+        message: 'Lister notes are required when item condition indicates an issue.',
+        fix: {
+          type: 'insertTemplate',
+          label: 'Insert notes template',
+          template: 'Condition: {itemConditionLabel}. Issue: '
+        },
+        examples: {
+          pass: [
+            { itemConditionLabel: 'New', notes: '' },
+            { itemConditionLabel: 'Used - Good', notes: 'Light scuff on the left heel.' }
+          ],
+          fail: [
+            { itemConditionLabel: 'Used - Good', notes: '' },
+            { itemConditionLabel: 'Damaged', notes: '   ' }
+          ]
+        }
+      },
+      {
+        id: 'notes-issue-unfilled',
+        field: 'notes',
+        type: 'regexFound',
+        pattern: 'Issue:[ \\t]*$',
+        flags: 'im',
+        severity: 'error',
+        where: {
+          itemConditionContains: ['issue', 'used', 'damaged', 'defect']
+        },
+        message: 'Describe the issue after "Issue:" in the lister notes.',
+        examples: {
+          pass: [
+            { itemConditionLabel: 'Used - Good', notes: 'Condition: Used - Good. Issue: light scuff on the left heel.' },
+            { itemConditionLabel: 'New', notes: 'Issue: ' }
+          ],
+          fail: [
+            { itemConditionLabel: 'Used - Good', notes: 'Condition: Used - Good. Issue: ' },
+            { itemConditionLabel: 'Damaged', notes: 'Condition: Damaged. Issue:\nBox is dented.' }
+          ]
+        }
       },
       {
         id: 'adult-apparel-size-missing',
         field: 'title',
-        type: 'regexNotFound',
-        pattern: '(\\bXS\\b|\\bS\\b|\\bM\\b|\\bL\\b|\\bXL\\b|\\bXXL\\b|\\b\\d{2}[WS]\\b)',
+        type: 'sizeMissing',
         severity: 'error',
         where: {
-          categoryEquals: ['Adult apparel & shoes']
+          categoryUnder: ['10', 'Adult apparel & shoes']
         },
         message: 'Adult apparel titles must include a size near the end of the title.',
-        exceptions: []
+        exceptions: [],
+        examples: {
+          pass: [
+            { categoryIdsJson: '[10,11]', primaryCategory: 'Adult apparel & shoes', secondaryCategory: 'Tops', title: 'Nike Dri-FIT running shirt blue M' },
+            { categoryIdsJson: '[10,12]', primaryCategory: 'Adult apparel & shoes', secondaryCategory: 'Bottoms', title: 'Levi\'s 501 straight jeans 32x30' },
+            { categoryIdsJson: '[20]', primaryCategory: 'Home & kitchen', title: 'Ceramic table lamp' }
+          ],
+          fail: [
+            { categoryIdsJson: '[10,11]', primaryCategory: 'Adult apparel & shoes', secondaryCategory: 'Tops', title: 'Nike Dri-FIT running shirt blue' },
+            { primaryCategory: 'Adult apparel & shoes', title: 'Nike Dri-FIT running shirt blue' }
+          ]
+        }
+      },
+      {
+        id: 'adult-apparel-size-not-at-end',
+        field: 'title',
+        type: 'sizeNotNearEnd',
+        maxTrailingWords: 2,
+        severity: 'warning',
+        where: {
+          categoryUnder: ['10', 'Adult apparel & shoes']
+        },
+        message: 'Move the size to the end of the title.',
+        fix: {
+          type: 'moveSizeToEnd',
+          label: 'Move size to end'
+        },
+        examples: {
+          pass: [
+            { categoryIdsJson: '[10,11]', primaryCategory: 'Adult apparel & shoes', secondaryCategory: 'Tops', title: 'Nike Dri-FIT running shirt blue M' },
+            { categoryIdsJson: '[10,11]', primaryCategory: 'Adult apparel & shoes', secondaryCategory: 'Tops', title: 'Nike Dri-FIT running shirt' },
+            { categoryIdsJson: '[20]', primaryCategory: 'Home & kitchen', title: 'Size M bed sheet set cotton white' }
+          ],
+          fail: [{ categoryIdsJson: '[10,11]', primaryCategory: 'Adult apparel & shoes', secondaryCategory: 'Tops', title: 'Nike M Dri-FIT running shirt blue' }]
+        }
+      },
+      {
+        id: 'used-item-brand-new-claim',
+        field: 'title',
+        type: 'regexFound',
+        pattern: '\\bbrand[\\s-]*new\\b',
+        flags: 'i',
+        severity: 'error',
+        where: {
+          field: 'itemConditionLabel',
+          contains: ['used', 'damaged', 'defect', 'issue']
+        },
+        message: 'Titles of used items must not claim the item is "brand new".',
+        examples: {
+          pass: [
+            { itemConditionLabel: 'New', title: 'Brand new Nike running shirt' },
+            { itemConditionLabel: 'Used - Good', title: 'Nike running shirt' }
+          ],
+          fail: [
+            { itemConditionLabel: 'Used - Good', title: 'Brand new Nike running shirt' },
+            { itemConditionLabel: 'Used - Like new', title: 'Nike running shirt BRAND-NEW' }
+          ]
+        }
+      },
+      {
+        id: 'condition-notes-required-for-package-mismatch',
+        field: 'conditionNotes',
+        type: 'missing',
+        severity: 'warning',
+        where: {
+          all: [
+            { field: 'packageConditionLabel', empty: false },
+            { field: 'packageConditionLabel', notEqualsField: 'itemConditionLabel' }
+          ]
+        },
+        message: 'Condition notes are required when the package condition differs from the item condition.',
+        fix: {
+          type: 'insertTemplate',
+          label: 'Insert condition notes template',
+          template: 'Item: {itemConditionLabel}. Package: {packageConditionLabel}. '
+        },
+        examples: {
+          pass: [
+            { itemConditionLabel: 'New', packageConditionLabel: 'New', conditionNotes: '' },
+            { itemConditionLabel: 'New', packageConditionLabel: 'Damaged box', conditionNotes: 'Box crushed on one corner.' },
+            { itemConditionLabel: 'New', packageConditionLabel: '', conditionNotes: '' }
+          ],
+          fail: [{ itemConditionLabel: 'New', packageConditionLabel: 'Damaged box', conditionNotes: '' }]
+        }
+      },
+      {
+        id: 'image-count-min',
+        field: 'imageCount',
+        type: 'min',
+        value: 1,
+        severity: 'warning',
+        message: 'Listing has no photos.',
+        examples: {
+          pass: [{ imageCount: 1 }],
+          fail: [{ imageCount: 0 }]
+        }
+      },
+      {
+        id: 'image-min-width',
+        field: 'minImageWidth',
+        type: 'min',
+        value: 600,
+        severity: 'warning',
+        message: 'At least one photo is smaller than 600px wide.',
+        examples: {
+          pass: [{ minImageWidth: 1200 }, {}],
+          fail: [{ minImageWidth: 320 }]
+        }
+      },
+      {
+        id: 'image-aspect-ratio',
+        field: 'maxImageElongation',
+        type: 'max',
+        value: 2.5,
+        severity: 'warning',
+        message: 'At least one photo has an unusual aspect ratio; check cropping.',
+        examples: {
+          pass: [{ maxImageElongation: 1.33 }, {}],
+          fail: [{ maxImageElongation: 4 }]
+        }
+      },
+      {
+        id: 'image-bad-exposure',
+        field: 'badExposureImages',
+        type: 'max',
+        value: 0,
+        severity: 'warning',
+        message: 'At least one photo is nearly black or blown out.',
+        examples: {
+          pass: [{ badExposureImages: 0 }, {}],
+          fail: [{ badExposureImages: 1 }]
+        }
+      },
+      {
+        id: 'image-duplicates',
+        field: 'duplicateImages',
+        type: 'max',
+        value: 0,
+        severity: 'warning',
+        message: 'Listing contains duplicate photos.',
+        examples: {
+          pass: [{ duplicateImages: 0 }, {}],
+          fail: [{ duplicateImages: 2 }]
+        }
+      }
+    ],
+    titleTemplates: [
+      {
+        id: 'adult-apparel',
+        where: {
+          categoryUnder: ['10', 'Adult apparel & shoes']
+        },
+        template: '{brand} {item} {color} {size}'
+      },
+      {
+        id: 'default',
+        template: '{brand} {item} {details}'
       }
     ]
   };
 
+  // ============================================================
+  // Rule Evaluation
+  // ============================================================
+
+  const fieldAliases = {
+    notes: 'editorNotes'
+  };
+
+  const regexCache = new Map();
+
+  function compileRulePattern(rule) {
+    const key = String(rule.pattern) + '/' + String(rule.flags || '');
+    if (regexCache.has(key)) return regexCache.get(key);
+    let re = null;
+    try {
+      re = new RegExp(String(rule.pattern), rule.flags || '');
+    } catch (err) {
+      console.warn('[KOTN bible] invalid pattern for rule ' + rule.id, err);
+    }
+    regexCache.set(key, re);
+    return re;
+  }
+
+  function normText(value) {
+    return String(value == null ? '' : value).trim().replace(/\s+/g, ' ');
+  }
+
+  function readField(listing, field) {
+    if (!listing || !field) return undefined;
+    if (Object.prototype.hasOwnProperty.call(listing, field)) return listing[field];
+    const alias = fieldAliases[field];
+    return alias ? listing[alias] : undefined;
+  }
+
+  function toLowerList(val) {
+    const list = Array.isArray(val) ? val : [val];
+    return list.filter(v => v != null && v !== '').map(v => normText(v).toLowerCase());
+  }
+
+  const whereTests = {
+    itemConditionContains(listing, expected) {
+      const label = normText(listing.itemConditionLabel).toLowerCase();
+      if (!label) return false;
+      return toLowerList(expected).some(token => label.includes(token));
+    },
+    categoryEquals(listing, expected) {
+      const cats = [listing.primaryCategory, listing.secondaryCategory].map(c => normText(c).toLowerCase()).filter(Boolean);
+      if (!cats.length) return false;
+      return toLowerList(expected).some(name => cats.includes(name));
+    },
+    secondaryCategoryEquals(listing, expected) {
+      const cat = normText(listing.secondaryCategory).toLowerCase();
+      if (!cat) return false;
+      return toLowerList(expected).includes(cat);
+    },
+    categoryIdEquals(listing, expected) {
+      const ids = listingCategoryIds(listing);
+      return toLowerList(expected).some(id => ids.includes(id));
+    },
+    categoryUnder(listing, expected) {
+      const wanted = toLowerList(expected);
+      const ancestors = wanted.filter(w => /^\d+$/.test(w));
+      const labels = wanted.filter(w => !/^\d+$/.test(w));
+      const ids = listingCategoryIds(listing);
+      const nodes = readCategoryNodes();
+      if (nodes && ancestors.length) {
+        const opts = { nodes };
+        const known = ids.filter(id => nodes[id]);
+        if (known.length && ancestors.some(a => nodes[a])) {
+          return known.some(id => ancestors.some(a => KOTN.categories.isUnder(id, a, opts)));
+        }
+      }
+      if (ancestors.some(a => ids.includes(a))) return true;
+      return labels.length > 0 && whereTests.categoryEquals(listing, labels);
+    }
+  };
+
+  let categoryNodesOverride = null;
+
+  function readCategoryNodes() {
+    if (categoryNodesOverride) return categoryNodesOverride;
+    return KOTN.categories && hasStorage() ? KOTN.categories.nodes() : null;
+  }
+
+  function withCategoryNodes(nodes, fn) {
+    const prev = categoryNodesOverride;
+    categoryNodesOverride = nodes;
+    try {
+      return fn();
+    } finally {
+      categoryNodesOverride = prev;
+    }
+  }
+
+  function learnListingCategories(listing) {
+    if (!KOTN.categories || !hasStorage()) return;
+    try {
+      KOTN.categories.learnFromListing(listing);
+    } catch (err) {
+      console.warn('[KOTN bible] could not learn categories from listing ' + listing.id, err);
+    }
+  }
+
+  function listingCategoryIds(listing) {
+    return KOTN.categories ? KOTN.categories.idsForListing(listing) : [];
+  }
+
+  function toNumber(value) {
+    if (value == null || value === '') return NaN;
+    return Number(value);
+  }
+
+  const fieldOperators = {
+    equals(value, expected) {
+      const v = normText(value).toLowerCase();
+      return toLowerList(expected).includes(v);
+    },
+    notEquals(value, expected) {
+      return !fieldOperators.equals(value, expected);
+    },
+    contains(value, expected) {
+      const v = normText(value).toLowerCase();
+      if (!v) return false;
+      return toLowerList(expected).some(token => v.includes(token));
+    },
+    notContains(value, expected) {
+      return !fieldOperators.contains(value, expected);
+    },
+    matches(value, expected, listing, where) {
+      const re = compileRulePattern({ id: 'where', pattern: expected, flags: where.flags == null ? 'i' : where.flags });
+      if (!re) return false;
+      re.lastIndex = 0;
+      return re.test(String(value == null ? '' : value));
+    },
+    empty(value, expected) {
+      return (normText(value) === '') === !!expected;
+    },
+    gt(value, expected) {
+      return toNumber(value) > Number(expected);
+    },
+    gte(value, expected) {
+      return toNumber(value) >= Number(expected);
+    },
+    lt(value, expected) {
+      return toNumber(value) < Number(expected);
+    },
+    lte(value, expected) {
+      return toNumber(value) <= Number(expected);
+    },
+    equalsField(value, otherField, listing) {
+      return normText(value).toLowerCase() === normText(readField(listing, otherField)).toLowerCase();
+    },
+    notEqualsField(value, otherField, listing) {
+      return !fieldOperators.equalsField(value, otherField, listing);
+    }
+  };
+
+  function matchesWhere(where, listing, ruleId) {
+    if (!where) return true;
+    if (Array.isArray(where)) {
+      return where.every(w => matchesWhere(w, listing, ruleId));
+    }
+    return Object.keys(where).every(key => {
+      if (key === 'field' || key === 'flags') return true;
+      if (key === 'all') {
+        const list = Array.isArray(where.all) ? where.all : [where.all];
+        return list.every(w => matchesWhere(w, listing, ruleId));
+      }
+      if (key === 'any') {
+        const list = Array.isArray(where.any) ? where.any : [where.any];
+        return list.some(w => matchesWhere(w, listing, ruleId));
+      }
+      if (key === 'not') {
+        return !matchesWhere(where.not, listing, ruleId);
+      }
+      if (whereTests[key]) {
+        return whereTests[key](listing, where[key]);
+      }
+      const op = fieldOperators[key];
+      if (!op) {
+        console.warn('[KOTN bible] unknown where condition ' + key + ' in rule ' + ruleId);
+        return false;
+      }
+      if (!where.field) {
+        console.warn('[KOTN bible] where condition ' + key + ' needs a field in rule ' + ruleId);
+        return false;
+      }
+      return op(readField(listing, where.field), where[key], listing, where);
+    });
+  }
+
+  function ruleApplies(rule, listing) {
+    if (!rule) return false;
+    return matchesWhere(rule.where, listing, rule.id);
+  }
+
+  const ruleChecks = {
+    minLength(rule, value) {
+      return normText(value).length >= Number(rule.value);
+    },
+    maxLength(rule, value) {
+      return normText(value).length <= Number(rule.value);
+    },
+    missing(rule, value) {
+      return normText(value) !== '';
+    },
+    regexNotFound(rule, value) {
+      const re = compileRulePattern(rule);
+      if (!re) return null;
+      re.lastIndex = 0;
+      return re.test(String(value == null ? '' : value));
+    },
+    regexFound(rule, value) {
+      const re = compileRulePattern(rule);
+      if (!re) return null;
+      re.lastIndex = 0;
+      return !re.test(String(value == null ? '' : value));
+    },
+    enum(rule, value) {
+      if (normText(value) === '') return true;
+      return fieldOperators.equals(value, rule.values);
+    },
+    min(rule, value) {
+      if (value == null || value === '') return null;
+      return toNumber(value) >= Number(rule.value);
+    },
+    max(rule, value) {
+      if (value == null || value === '') return null;
+      return toNumber(value) <= Number(rule.value);
+    },
+    sizeMissing(rule, value) {
+      if (!KOTN.sizes) return null;
+      return KOTN.sizes.has(value, { kinds: rule.kinds });
+    },
+    sizeNotNearEnd(rule, value) {
+      if (!KOTN.sizes) return null;
+      if (!KOTN.sizes.has(value, { kinds: rule.kinds })) return true;
+      return KOTN.sizes.isNearEnd(value, { kinds: rule.kinds, maxTrailingWords: rule.maxTrailingWords });
+    }
+  };
+
+  function evaluateRule(rule, listing) {
+    if (!rule || !listing) return null;
+    const check = ruleChecks[rule.type];
+    if (!check) {
+      console.warn('[KOTN bible] unknown rule type ' + rule.type + ' in rule ' + rule.id);
+      return null;
+    }
+    if (!ruleApplies(rule, listing)) return null;
+    const value = readField(listing, rule.field);
+    const ok = check(rule, value);
+    if (ok !== false) return null;
+    return {
+      ruleId: rule.id,
+      listingId: listing.id == null ? '' : String(listing.id),
+      field: rule.field,
+      type: rule.type,
+      severity: rule.severity || 'warning',
+      message: rule.message || '',
+      value: value == null ? '' : value,
+      status: 'open'
+    };
+  }
+
+  function evaluate(listing, options = {}) {
+    const rules = Array.isArray(options.rules) ? options.rules : listingBible.rules;
+    const only = Array.isArray(options.ruleIds) ? new Set(options.ruleIds) : null;
+    const waivers = options.ignoreWaivers ? [] : (Array.isArray(options.waivers) ? options.waivers : listWaivers({ rules }));
+    const findings = [];
+    rules.forEach(rule => {
+      if (only && !only.has(rule.id)) return;
+      const finding = evaluateRule(rule, listing);
+      if (!finding) return;
+      const waiver = findWaiver(finding, listing, waivers);
+      if (waiver) {
+        finding.status = 'waived';
+        finding.waiver = waiver;
+      }
+      findings.push(finding);
+    });
+    return findings;
+  }
+
+  function openFindings(findings) {
+    return (Array.isArray(findings) ? findings : []).filter(f => f.status !== 'waived');
+  }
+
+  function summarize(findings) {
+    const list = Array.isArray(findings) ? findings : [];
+    const byRule = {};
+    let errors = 0;
+    let warnings = 0;
+    let waived = 0;
+    list.forEach(f => {
+      if (f.status === 'waived') {
+        waived += 1;
+      } else if (f.severity === 'error') {
+        errors += 1;
+      } else {
+        warnings += 1;
+      }
+      byRule[f.ruleId] = (byRule[f.ruleId] || 0) + 1;
+    });
+    return {
+      total: list.length,
+      errors,
+      warnings,
+      waived,
+      byRule
+    };
+  }
+
+  listingBible.fieldAliases = fieldAliases;
+  listingBible.readField = readField;
+  listingBible.matchesWhere = matchesWhere;
+  listingBible.ruleApplies = ruleApplies;
+  listingBible.evaluateRule = evaluateRule;
+  listingBible.evaluate = evaluate;
+  listingBible.openFindings = openFindings;
+  listingBible.summarize = summarize;
+
+  // ============================================================
+  // Rule Waivers
+  // ============================================================
+
+  const waiverScopes = ['listing', 'lister', 'category', 'auction'];
+
+  function hasStorage() {
+    return !!KOTN.state && typeof window !== 'undefined';
+  }
+
+  let waiverStore = null;
+
+  function getWaiverStore() {
+    if (waiverStore) return waiverStore;
+    if (!hasStorage()) return null;
+    waiverStore = KOTN.state.createStore({ name: 'listing-bible:waivers', scope: 'local' });
+    return waiverStore;
+  }
+
+  function readStoredWaivers() {
+    const store = getWaiverStore();
+    if (!store) return [];
+    const raw = store.get('items', []);
+    return Array.isArray(raw) ? raw.slice() : [];
+  }
+
+  function writeStoredWaivers(list) {
+    const store = getWaiverStore();
+    if (!store) return;
+    store.set('items', list.slice());
+  }
+
+  function isWaiverExpired(waiver, now) {
+    if (!waiver || waiver.expiresAt == null || waiver.expiresAt === '') return false;
+    const t = typeof waiver.expiresAt === 'number' ? waiver.expiresAt : Date.parse(waiver.expiresAt);
+    if (!Number.isFinite(t)) return false;
+    return t <= (now == null ? Date.now() : now);
+  }
+
+  function waiverMatchesListing(waiver, listing) {
+    const expected = normText(waiver.value).toLowerCase();
+    if (!expected) return false;
+    if (waiver.scope === 'listing') {
+      return normText(listing.id).toLowerCase() === expected;
+    }
+    if (waiver.scope === 'lister') {
+      return normText(listing.createdBy).toLowerCase() === expected;
+    }
+    if (waiver.scope === 'category') {
+      if (listingCategoryIds(listing).includes(expected)) return true;
+      return [listing.primaryCategory, listing.secondaryCategory].some(c => normText(c).toLowerCase() === expected);
+    }
+    if (waiver.scope === 'auction') {
+      return normText(listing.auctionId).toLowerCase() === expected;
+    }
+    return false;
+  }
+
+  function listWaivers(options = {}) {
+    const now = Date.now();
+    const stored = readStoredWaivers().map(w => Object.assign({ source: 'store' }, w));
+    const embedded = [];
+    const rules = Array.isArray(options.rules) ? options.rules : listingBible.rules;
+    rules.forEach(rule => {
+      const list = Array.isArray(rule.exceptions) ? rule.exceptions : [];
+      list.forEach((w, i) => {
+        if (!w || typeof w !== 'object') return;
+        embedded.push(Object.assign({ id: rule.id + '#' + i, source: 'bible' }, w, { ruleId: rule.id }));
+      });
+    });
+    const all = embedded.concat(stored);
+    if (options.includeExpired) return all;
+    return all.filter(w => !isWaiverExpired(w, now));
+  }
+
+  function findWaiver(finding, listing, waivers) {
+    if (!finding || !listing) return null;
+    const list = Array.isArray(waivers) ? waivers : listWaivers();
+    const now = Date.now();
+    return list.find(w => {
+      if (!w || isWaiverExpired(w, now)) return false;
+      if (w.ruleId && w.ruleId !== '*' && w.ruleId !== finding.ruleId) return false;
+      return waiverMatchesListing(w, listing);
+    }) || null;
+  }
+
+  async function addWaiver(config = {}) {
+    const ruleId = normText(config.ruleId);
+    const scope = normText(config.scope).toLowerCase();
+    const value = normText(config.value);
+    const reason = normText(config.reason);
+    if (!ruleId) {
+      throw new Error('addWaiver requires ruleId');
+    }
+    if (!waiverScopes.includes(scope)) {
+      throw new Error('addWaiver scope must be one of ' + waiverScopes.join(', '));
+    }
+    if (!value) {
+      throw new Error('addWaiver requires value');
+    }
+    if (!reason) {
+      throw new Error('addWaiver requires reason');
+    }
+    let author = config.author || null;
+    if (!author) {
+      try {
+        author = await KOTN.auth.getProfile();
+      } catch (err) {
+        console.warn('[KOTN bible] could not read waiver author', err);
+        author = null;
+      }
+    }
+    let expiresAt = null;
+    if (config.expiresAt != null && config.expiresAt !== '') {
+      const t = config.expiresAt instanceof Date ? config.expiresAt.getTime() : Date.parse(config.expiresAt);
+      if (!Number.isFinite(t)) {
+        throw new Error('addWaiver expiresAt is not a valid date');
+      }
+      expiresAt = new Date(t).toISOString();
+    }
+    const waiver = {
+      id: 'w' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      ruleId,
+      scope,
+      value,
+      reason,
+      author: author ? { id: author.id, username: author.username, fullname: author.fullname } : null,
+      createdAt: new Date().toISOString(),
+      expiresAt
+    };
+    const list = readStoredWaivers();
+    list.push(waiver);
+    writeStoredWaivers(list);
+    return waiver;
+  }
+
+  function removeWaiver(id) {
+    const list = readStoredWaivers();
+    const next = list.filter(w => w && w.id !== id);
+    if (next.length === list.length) return false;
+    writeStoredWaivers(next);
+    return true;
+  }
+
+  function pruneExpiredWaivers() {
+    const list = readStoredWaivers();
+    const now = Date.now();
+    const next = list.filter(w => !isWaiverExpired(w, now));
+    if (next.length !== list.length) writeStoredWaivers(next);
+    return list.length - next.length;
+  }
+
+  listingBible.waivers = {
+    scopes: waiverScopes,
+    list: listWaivers,
+    add: addWaiver,
+    remove: removeWaiver,
+    find: findWaiver,
+    pruneExpired: pruneExpiredWaivers,
+    isExpired: isWaiverExpired
+  };
+
+  // ============================================================
+  // Inline Validation (listing edit page)
+  // ============================================================
+
+  const fieldSelectors = {
+    title: 'input[name="title"]',
+    notes: 'textarea[name="notes"]',
+    editorNotes: 'textarea[name="notes"]',
+    macroNotes: 'textarea[name="macro_notes"]',
+    conditionNotes: 'textarea[name="condition_notes"]',
+    staffNotes: 'textarea[name="staff_notes"]',
+    itemConditionId: 'select[name="item_condition_id"]',
+    itemConditionLabel: 'select[name="item_condition_id"]',
+    packageConditionId: 'select[name="package_condition_id"]',
+    packageConditionLabel: 'select[name="package_condition_id"]',
+    primaryCategory: '.cat-1-button',
+    secondaryCategory: '.cat-2-button',
+    shelfName: 'input[name="shelf_name"]',
+    productUrl: 'input[name="url"]',
+    lot: 'select[name="lot"]',
+    imageCount: '.image-upload-grid',
+    minImageWidth: '.image-upload-grid',
+    maxImageElongation: '.image-upload-grid',
+    badExposureImages: '.image-upload-grid',
+    duplicateImages: '.image-upload-grid'
+  };
+
+  const severityColors = {
+    error: '#c62828',
+    warning: '#b26a00',
+    waived: '#777'
+  };
+
+  function parseEditListingId(loc) {
+    const path = String(loc && loc.pathname != null ? loc.pathname : loc || '');
+    const m = path.match(/\/management\/listings\/(\d+)\/edit/);
+    return m ? m[1] : null;
+  }
+
+  function attachInlineValidation(options = {}) {
+    const doc = options.doc || document;
+    const id = options.id != null ? String(options.id) : parseEditListingId(window.location);
+    const debounceMs = options.debounceMs == null ? 250 : options.debounceMs;
+    const onFindings = options.onFindings;
+    if (!id) {
+      throw new Error('attachInlineValidation requires a listing edit page or id');
+    }
+    const dom = KOTN.dom;
+    const selectorList = Array.from(new Set(Object.values(fieldSelectors)));
+    let findings = [];
+    let listing = null;
+    let imageFields = {};
+    let imageRun = 0;
+    let imageKey = null;
+    let imageTimer = null;
+    let categoryKey = null;
+    let timer = null;
+    let stopObserver = null;
+    let stopImageObserver = null;
+
+    function clearMarks() {
+      dom.qsa('.kotn-bible-inline', doc).forEach(el => el.remove());
+      dom.qsa('[data-kotn-bible-marked="1"]', doc).forEach(el => {
+        el.style.outline = '';
+        delete el.dataset.kotnBibleMarked;
+      });
+    }
+
+    function render() {
+      clearMarks();
+      const byAnchor = new Map();
+      findings.forEach(f => {
+        const selector = fieldSelectors[f.field];
+        const anchor = selector ? doc.querySelector(selector) : null;
+        if (!anchor) return;
+        if (!byAnchor.has(anchor)) byAnchor.set(anchor, []);
+        byAnchor.get(anchor).push(f);
+      });
+      byAnchor.forEach((list, anchor) => {
+        const open = openFindings(list);
+        if (open.length) {
+          const hasError = open.some(f => f.severity === 'error');
+          anchor.style.outline = '2px solid ' + (hasError ? severityColors.error : severityColors.warning);
+          anchor.dataset.kotnBibleMarked = '1';
+        }
+        const box = dom.create('div', {
+          className: 'kotn-bible-inline',
+          style: {
+            fontSize: '12px',
+            marginTop: '2px'
+          }
+        }, list.map(f => {
+          const waived = f.status === 'waived';
+          const label = waived ? 'Waived: ' : (f.severity === 'error' ? 'Error: ' : 'Warning: ');
+          const reason = waived && f.waiver && f.waiver.reason ? ' (' + f.waiver.reason + ')' : '';
+          const line = dom.create('div', {
+            textContent: label + f.message + reason,
+            title: f.ruleId,
+            style: {
+              color: waived ? severityColors.waived : (severityColors[f.severity] || severityColors.warning)
+            }
+          });
+          const suggestion = suggestFix(f, listing, options);
+          if (suggestion) {
+            line.appendChild(renderFixPreview(suggestion));
+          }
+          return line;
+        }));
+        anchor.insertAdjacentElement('afterend', box);
+      });
+    }
+
+    function renderFixPreview(suggestion) {
+      const btn = dom.create('button', {
+        type: 'button',
+        textContent: suggestion.label,
+        style: {
+          marginTop: '2px',
+          fontSize: '11px',
+          padding: '0 6px',
+          cursor: 'pointer'
+        }
+      });
+      btn.addEventListener('click', ev => {
+        ev.preventDefault();
+        if (applyFix(suggestion, doc)) validate();
+      });
+      return dom.create('div', {
+        style: {
+          color: '#333',
+          background: '#f5f5f5',
+          border: '1px solid #ddd',
+          borderRadius: '3px',
+          padding: '2px 4px',
+          marginTop: '2px',
+          whiteSpace: 'pre-wrap'
+        }
+      }, [
+        dom.create('div', { textContent: 'Before: ' + suggestion.before }),
+        dom.create('div', { textContent: 'After: ' + suggestion.after }),
+        btn
+      ]);
+    }
+
+    function validate() {
+      timer = null;
+      listing = Object.assign(KOTN.listings.extractFromEdit(doc, id), imageFields);
+      const catKey = [listing.categoryIdsJson, listing.primaryCategory, listing.secondaryCategory].join('\n');
+      if (catKey !== categoryKey) {
+        categoryKey = catKey;
+        learnListingCategories(listing);
+      }
+      findings = evaluate(listing, options);
+      render();
+      if (onFindings) {
+        try {
+          onFindings(findings, listing);
+        } catch (err) {
+          console.error('[KOTN bible] onFindings error', err);
+        }
+      }
+      return findings;
+    }
+
+    function schedule() {
+      if (timer != null) clearTimeout(timer);
+      timer = setTimeout(validate, debounceMs);
+    }
+
+    async function checkImages() {
+      imageTimer = null;
+      const urls = KOTN.images.collectUrls(doc);
+      const key = urls.join('\n');
+      if (key === imageKey) return;
+      imageKey = key;
+      const run = imageRun + 1;
+      imageRun = run;
+      try {
+        const summary = await KOTN.images.analyzeAll(urls, options);
+        if (run !== imageRun) return;
+        imageFields = summary.fields;
+        schedule();
+      } catch (err) {
+        if (run === imageRun) imageKey = null;
+        console.warn('[KOTN bible] image checks failed', err);
+      }
+    }
+
+    function scheduleImages() {
+      if (imageTimer != null) clearTimeout(imageTimer);
+      imageTimer = setTimeout(checkImages, 500);
+    }
+
+    function isImageMutation(m) {
+      const target = m.target;
+      if (m.type === 'attributes') {
+        return target instanceof Element && target.matches('.image-upload-grid img');
+      }
+      if (!(target instanceof Element)) return false;
+      const inGrid = !!target.closest('.image-upload-grid');
+      return Array.from(m.addedNodes).concat(Array.from(m.removedNodes)).some(node => {
+        if (!(node instanceof Element)) return false;
+        if (node.matches('.image-upload-grid') || node.querySelector('.image-upload-grid')) return true;
+        return inGrid && (node.matches('img') || !!node.querySelector('img'));
+      });
+    }
+
+    function watchImages() {
+      const observer = new MutationObserver(mutations => {
+        if (mutations.some(isImageMutation)) scheduleImages();
+      });
+      observer.observe(doc, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['src']
+      });
+      checkImages();
+      return () => observer.disconnect();
+    }
+
+    function onEvent(ev) {
+      const target = ev.target;
+      if (!(target instanceof Element)) return;
+      if (target.closest('.kotn-bible-inline')) return;
+      if (ev.type === 'click' && !target.closest('.cat-1-button, .cat-2-button, .modal')) return;
+      schedule();
+    }
+
+    doc.addEventListener('input', onEvent, true);
+    doc.addEventListener('change', onEvent, true);
+    doc.addEventListener('click', onEvent, true);
+    stopObserver = KOTN.observer.onAdded({
+      root: doc,
+      selector: selectorList.join(', '),
+      callback: schedule,
+      debounceMs
+    });
+    if (options.checkImages && KOTN.images) {
+      stopImageObserver = watchImages();
+    }
+    validate();
+
+    return {
+      validate,
+      getFindings() {
+        return findings.slice();
+      },
+      detach() {
+        if (timer != null) clearTimeout(timer);
+        doc.removeEventListener('input', onEvent, true);
+        doc.removeEventListener('change', onEvent, true);
+        doc.removeEventListener('click', onEvent, true);
+        if (stopObserver) stopObserver();
+        if (stopImageObserver) stopImageObserver();
+        if (imageTimer != null) clearTimeout(imageTimer);
+        imageRun += 1;
+        clearMarks();
+      }
+    };
+  }
+
+  listingBible.fieldSelectors = fieldSelectors;
+  listingBible.parseEditListingId = parseEditListingId;
+  listingBible.attachInline = attachInlineValidation;
+
+  // ============================================================
+  // Submit Gating
+  // ============================================================
+
+  let overrideStore = null;
+
+  function getOverrideStore() {
+    if (overrideStore) return overrideStore;
+    if (!hasStorage()) return null;
+    overrideStore = KOTN.state.createStore({ name: 'listing-bible:overrides', scope: 'local' });
+    return overrideStore;
+  }
+
+  function listOverrides() {
+    const store = getOverrideStore();
+    if (!store) return [];
+    const raw = store.get('items', []);
+    return Array.isArray(raw) ? raw.slice() : [];
+  }
+
+  async function recordOverride(entry, activityLog) {
+    let user = null;
+    try {
+      user = await KOTN.auth.getProfile();
+    } catch (err) {
+      console.warn('[KOTN bible] could not read override user', err);
+    }
+    const record = {
+      listingId: String(entry.listingId),
+      reason: entry.reason,
+      ruleIds: entry.ruleIds.slice(),
+      user: user ? { id: user.id, username: user.username, fullname: user.fullname } : null,
+      at: new Date().toISOString()
+    };
+    const store = getOverrideStore();
+    if (store) {
+      const list = listOverrides();
+      list.push(record);
+      store.set('items', list);
+    }
+    if (activityLog) {
+      const who = record.user ? (record.user.username || record.user.id) : 'unknown user';
+      activityLog.log('Override on listing ' + record.listingId + ' by ' + who + ' [' + record.ruleIds.join(', ') + ']: ' + record.reason);
+    }
+    return record;
+  }
+
+  function showGateDialog(errors, options) {
+    const dom = KOTN.dom;
+    return new Promise(resolve => {
+      const reasonInput = dom.create('textarea', {
+        rows: 3,
+        placeholder: 'Reason for overriding (required)',
+        style: { width: '100%', boxSizing: 'border-box', marginTop: '8px' }
+      });
+      const backBtn = dom.create('button', { type: 'button', className: 'btn btn-sm btn-secondary', textContent: 'Go back and fix' });
+      const overrideBtn = dom.create('button', {
+        type: 'button',
+        className: 'btn btn-sm btn-danger',
+        textContent: 'Override and save',
+        disabled: true,
+        style: { marginLeft: '6px' }
+      });
+      const showLog = !!(options.log && options.log.textContent);
+      const box = dom.create('div', {
+        style: {
+          background: '#fff',
+          color: '#222',
+          maxWidth: '520px',
+          width: '90%',
+          borderRadius: '6px',
+          padding: '14px 16px',
+          boxShadow: '0 6px 24px rgba(0,0,0,0.4)',
+          fontSize: '13px'
+        }
+      }, [
+        dom.create('div', { textContent: 'This listing breaks ' + errors.length + ' Listing Bible rule' + (errors.length === 1 ? '' : 's'), style: { fontWeight: '600', marginBottom: '6px' } }),
+        dom.create('ul', { style: { margin: '0 0 0 18px', padding: '0' } }, errors.map(f => dom.create('li', { textContent: f.message, title: f.ruleId }))),
+        options.allowOverride ? reasonInput : null,
+        showLog ? dom.create('div', { textContent: 'Recent overrides', style: { fontWeight: '600', margin: '8px 0 2px' } }) : null,
+        showLog ? options.log : null,
+        dom.create('div', { style: { marginTop: '10px', textAlign: 'right' } }, [backBtn, options.allowOverride ? overrideBtn : null])
+      ]);
+      if (showLog) {
+        Object.assign(options.log.style, { maxHeight: '120px', overflow: 'auto', whiteSpace: 'pre-wrap', fontFamily: 'monospace', fontSize: '11px' });
+      }
+      const overlay = dom.create('div', {
+        className: 'kotn-bible-gate',
+        style: {
+          position: 'fixed',
+          inset: '0',
+          background: 'rgba(0,0,0,0.45)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: '1000000'
+        }
+      }, [box]);
+      function close(result) {
+        overlay.remove();
+        resolve(result);
+      }
+      reasonInput.addEventListener('input', () => {
+        overrideBtn.disabled = !dom.norm(reasonInput.value);
+      });
+      backBtn.addEventListener('click', () => close({ override: false }));
+      overrideBtn.addEventListener('click', () => {
+        const reason = dom.norm(reasonInput.value);
+        if (!reason) return;
+        close({ override: true, reason });
+      });
+      document.body.appendChild(overlay);
+      if (options.allowOverride) reasonInput.focus();
+    });
+  }
+
+  function attachSubmitGate(options = {}) {
+    const doc = options.doc || document;
+    const id = options.id != null ? String(options.id) : parseEditListingId(window.location);
+    const allowOverride = options.allowOverride !== false;
+    const activityLog = options.activityLog || KOTN.ui.createActivityLog({ id: 'listing-bible-overrides' });
+    const logContainer = options.logContainer || null;
+    if (!id) {
+      throw new Error('attachSubmitGate requires a listing edit page or id');
+    }
+    let pending = false;
+    if (logContainer) logContainer.appendChild(activityLog.box);
+
+    function blockingFindings() {
+      const listing = KOTN.listings.extractFromEdit(doc, id);
+      return openFindings(evaluate(listing, options)).filter(f => f.severity === 'error');
+    }
+
+    async function onSubmitAttempt(ev, submitEl) {
+      if (KOTN.page.hasSubmitPass('listing-bible')) return;
+      const errors = blockingFindings();
+      if (!errors.length) return;
+      ev.preventDefault();
+      ev.stopImmediatePropagation();
+      if (pending) return;
+      pending = true;
+      const passes = KOTN.page.submitPasses();
+      try {
+        const choice = await showGateDialog(errors, { allowOverride, log: logContainer ? null : activityLog.box });
+        if (!choice.override) return;
+        await recordOverride({ listingId: id, reason: choice.reason, ruleIds: errors.map(f => f.ruleId) }, activityLog);
+        KOTN.page.resubmit('listing-bible', passes, submitEl, submitEl ? null : ev.target);
+      } finally {
+        pending = false;
+      }
+    }
+
+    function onClick(ev) {
+      const target = ev.target instanceof Element ? ev.target.closest('#submitButton') : null;
+      if (!target) return;
+      onSubmitAttempt(ev, target);
+    }
+
+    function onSubmit(ev) {
+      const form = ev.target;
+      if (!(form instanceof Element) || !form.querySelector('#submitButton')) return;
+      onSubmitAttempt(ev, null);
+    }
+
+    doc.addEventListener('click', onClick, true);
+    doc.addEventListener('submit', onSubmit, true);
+    return {
+      check: blockingFindings,
+      detach() {
+        doc.removeEventListener('click', onClick, true);
+        doc.removeEventListener('submit', onSubmit, true);
+        if (logContainer) activityLog.box.remove();
+      }
+    };
+  }
+
+  listingBible.overrides = {
+    list: listOverrides,
+    record: recordOverride
+  };
+  listingBible.attachSubmitGate = attachSubmitGate;
+
+  // ============================================================
+  // Auto-fixes
+  // ============================================================
+
+  function fillTemplate(template, listing) {
+    return String(template || '').replace(/\{(\w+)\}/g, (all, key) => {
+      const value = readField(listing, key);
+      return value == null ? '' : String(value);
+    });
+  }
+
+  const fixers = {
+    collapseWhitespace(value) {
+      return normText(value);
+    },
+    moveSizeToEnd(value, fix) {
+      const text = normText(value);
+      let start = -1;
+      let token = '';
+      if (fix.pattern != null) {
+        const re = compileRulePattern({ id: 'fix', pattern: fix.pattern, flags: fix.flags || '' });
+        if (!re) return null;
+        re.lastIndex = 0;
+        const m = re.exec(text);
+        if (m) {
+          start = m.index;
+          token = m[0];
+        }
+      } else if (KOTN.sizes) {
+        const size = KOTN.sizes.last(text, { kinds: fix.kinds });
+        if (size) {
+          start = size.index;
+          token = size.raw;
+        }
+      }
+      if (start < 0 || !token) return null;
+      const rest = normText(text.slice(0, start) + ' ' + text.slice(start + token.length)).replace(/[\s,;/-]+$/, '');
+      return rest ? rest + ' ' + token.trim() : token.trim();
+    },
+    insertTemplate(value, fix, listing) {
+      const filled = fillTemplate(fix.template, listing);
+      if (!filled) return null;
+      const current = String(value == null ? '' : value);
+      return current.trim() ? current.replace(/\s+$/, '') + '\n' + filled : filled;
+    }
+  };
+
+  function findRule(ruleId, rules) {
+    const list = Array.isArray(rules) ? rules : listingBible.rules;
+    return list.find(r => r && r.id === ruleId) || null;
+  }
+
+  function suggestFix(finding, listing, options = {}) {
+    if (!finding || !listing || finding.status === 'waived') return null;
+    const rule = findRule(finding.ruleId, options.rules);
+    const fix = rule && rule.fix;
+    if (!fix) return null;
+    const fixer = fixers[fix.type];
+    if (!fixer) {
+      console.warn('[KOTN bible] unknown fix type ' + fix.type + ' in rule ' + rule.id);
+      return null;
+    }
+    const field = fix.field || rule.field;
+    const before = readField(listing, field);
+    const after = fixer(before, fix, listing);
+    if (after == null || after === String(before == null ? '' : before)) return null;
+    return {
+      ruleId: rule.id,
+      field,
+      label: fix.label || 'Apply fix',
+      before: before == null ? '' : String(before),
+      after
+    };
+  }
+
+  function applyFix(suggestion, doc) {
+    const root = doc || document;
+    if (!suggestion) return false;
+    const selector = fieldSelectors[suggestion.field];
+    const input = selector ? root.querySelector(selector) : null;
+    if (!input || !('value' in input)) {
+      console.warn('[KOTN bible] no editable control for field ' + suggestion.field);
+      return false;
+    }
+    input.focus();
+    input.value = suggestion.after;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
+  }
+
+  listingBible.fixers = fixers;
+  listingBible.suggestFix = suggestFix;
+  listingBible.applyFix = applyFix;
+
+  // ============================================================
+  // Title Builder
+  // ============================================================
+
+  function parseTemplateSlots(template) {
+    const slots = [];
+    String(template || '').replace(/\{(\w+)\}/g, (all, key) => {
+      if (!slots.includes(key)) slots.push(key);
+      return all;
+    });
+    return slots;
+  }
+
+  function pickTitleTemplate(listing, templates) {
+    const list = Array.isArray(templates) ? templates : (listingBible.titleTemplates || []);
+    return list.find(t => t && t.where && matchesWhere(t.where, listing || {}, 'template:' + t.id)) ||
+      list.find(t => t && !t.where) ||
+      null;
+  }
+
+  function buildTitle(template, values, listing, options = {}) {
+    const vals = Object.assign({}, values || {});
+    if (vals.size && KOTN.sizes) {
+      vals.size = KOTN.sizes.normalize(vals.size) || normText(vals.size);
+    }
+    const title = normText(String(template || '').replace(/\{(\w+)\}/g, (all, key) => normText(vals[key])));
+    const draft = Object.assign({ id: 'title-builder' }, listing || {}, { title });
+    const findings = openFindings(evaluate(draft, options)).filter(f => f.field === 'title');
+    const maxRule = (Array.isArray(options.rules) ? options.rules : listingBible.rules).find(r => r.field === 'title' && r.type === 'maxLength');
+    return {
+      title,
+      length: title.length,
+      maxLength: maxRule ? Number(maxRule.value) : null,
+      findings,
+      blocking: findings.some(f => f.severity === 'error' || f.type === 'maxLength')
+    };
+  }
+
+  function attachTitleBuilder(options = {}) {
+    const doc = options.doc || document;
+    const id = options.id != null ? String(options.id) : parseEditListingId(window.location);
+    if (!id) {
+      throw new Error('attachTitleBuilder requires a listing edit page or id');
+    }
+    const dom = KOTN.dom;
+    const ui = KOTN.ui.createPanel({
+      id: 'listing-bible-title-builder',
+      title: 'Title Builder'
+    });
+    const templateSelect = dom.create('select', { style: { width: '100%', marginBottom: '4px' } });
+    const slotBox = dom.create('div');
+    const preview = dom.create('div', { style: { margin: '6px 0', fontWeight: '600', wordBreak: 'break-word' } });
+    const meta = dom.create('div', { style: { color: '#aaa' } });
+    const problems = dom.create('div', { style: { color: '#ef5350', whiteSpace: 'pre-wrap' } });
+    const useBtn = dom.create('button', { type: 'button', textContent: 'Use title' });
+    [templateSelect, slotBox, preview, meta, problems, useBtn].forEach(el => ui.body.appendChild(el));
+    const slotInputs = new Map();
+    let listing = KOTN.listings.extractFromEdit(doc, id);
+    let current = null;
+
+    function selectedTemplate() {
+      return (listingBible.titleTemplates || []).find(t => t.id === templateSelect.value) || null;
+    }
+
+    function renderSlots() {
+      const previous = new Map(Array.from(slotInputs.entries()).map(([k, el]) => [k, el.value]));
+      slotInputs.clear();
+      slotBox.textContent = '';
+      const template = selectedTemplate();
+      parseTemplateSlots(template && template.template).forEach(slot => {
+        let value = previous.get(slot) || '';
+        if (!value && slot === 'size' && KOTN.sizes) {
+          const size = KOTN.sizes.last(listing.title);
+          value = size ? size.normalized : '';
+        }
+        const input = dom.create('input', {
+          type: 'text',
+          placeholder: slot,
+          value,
+          style: { width: '100%', boxSizing: 'border-box', marginBottom: '4px' }
+        });
+        input.addEventListener('input', refresh);
+        slotInputs.set(slot, input);
+        slotBox.appendChild(input);
+      });
+      refresh();
+    }
+
+    function refresh() {
+      const template = selectedTemplate();
+      const values = {};
+      slotInputs.forEach((el, k) => {
+        values[k] = el.value;
+      });
+      current = template ? buildTitle(template.template, values, listing, options) : null;
+      preview.textContent = current ? current.title : '';
+      meta.textContent = current ? current.length + (current.maxLength ? ' / ' + current.maxLength : '') + ' characters' : 'No template';
+      problems.textContent = current ? current.findings.map(f => f.message).join('\n') : '';
+      useBtn.disabled = !current || !current.title || current.blocking;
+    }
+
+    function fillTemplates() {
+      listing = KOTN.listings.extractFromEdit(doc, id);
+      templateSelect.textContent = '';
+      (listingBible.titleTemplates || []).forEach(t => {
+        templateSelect.appendChild(dom.create('option', { value: t.id, textContent: t.id + ': ' + t.template }));
+      });
+      const picked = pickTitleTemplate(listing);
+      if (picked) templateSelect.value = picked.id;
+      renderSlots();
+    }
+
+    templateSelect.addEventListener('change', renderSlots);
+    useBtn.addEventListener('click', () => {
+      if (!current || current.blocking) return;
+      applyFix({ field: 'title', after: current.title }, doc);
+      listing = KOTN.listings.extractFromEdit(doc, id);
+      refresh();
+    });
+    fillTemplates();
+    return {
+      panel: ui,
+      refresh: fillTemplates,
+      getTitle() {
+        return current ? current.title : '';
+      }
+    };
+  }
+
+  listingBible.parseTemplateSlots = parseTemplateSlots;
+  listingBible.pickTitleTemplate = pickTitleTemplate;
+  listingBible.buildTitle = buildTitle;
+  listingBible.attachTitleBuilder = attachTitleBuilder;
+
+  // ============================================================
+  // Note Macros
+  // ============================================================
+
+  const noteTargets = ['notes', 'conditionNotes', 'macroNotes', 'staffNotes'];
+
+  const defaultNoteMacros = [
+    {
+      id: 'used-wear',
+      label: 'Used: normal wear',
+      target: 'notes',
+      where: {
+        itemConditionContains: ['used']
+      },
+      text: 'Pre-owned item in {itemConditionLabel} condition. Shows {wear}.'
+    },
+    {
+      id: 'item-issue',
+      label: 'Item issue / defect',
+      target: 'notes',
+      where: {
+        itemConditionContains: ['issue', 'damaged', 'defect']
+      },
+      text: 'Item has the following issue: {issue}. Sold as-is.'
+    },
+    {
+      id: 'package-mismatch',
+      label: 'Package condition differs',
+      target: 'conditionNotes',
+      where: {
+        all: [
+          { field: 'packageConditionLabel', empty: false },
+          { field: 'packageConditionLabel', notEqualsField: 'itemConditionLabel' }
+        ]
+      },
+      text: 'Item: {itemConditionLabel}. Package: {packageConditionLabel} ({packageDetail}).'
+    }
+  ];
+
+  let macroStore = null;
+
+  function getMacroStore() {
+    if (macroStore) return macroStore;
+    if (!hasStorage()) return null;
+    macroStore = KOTN.state.createStore({ name: 'listing-bible:macros', scope: 'local' });
+    return macroStore;
+  }
+
+  function listMacros() {
+    const store = getMacroStore();
+    const stored = store ? store.get('items', null) : null;
+    return Array.isArray(stored) ? stored.slice() : defaultNoteMacros.slice();
+  }
+
+  function validateMacro(macro) {
+    const errors = [];
+    if (!macro || typeof macro !== 'object') return ['Macro must be an object'];
+    if (!normText(macro.id)) errors.push('Macro is missing an id');
+    if (!noteTargets.includes(macro.target)) errors.push('Macro target must be one of ' + noteTargets.join(', '));
+    if (!normText(macro.text)) errors.push('Macro is missing text');
+    validateWhere(macro.where, 'macro ' + (macro.id || '') + ' where', errors);
+    return errors;
+  }
+
+  function saveMacro(macro) {
+    const errors = validateMacro(macro);
+    if (errors.length) {
+      throw new Error('saveMacro: ' + errors.join('; '));
+    }
+    const list = listMacros();
+    const idx = list.findIndex(m => m.id === macro.id);
+    if (idx >= 0) {
+      list[idx] = macro;
+    } else {
+      list.push(macro);
+    }
+    const store = getMacroStore();
+    if (store) store.set('items', list);
+    return list;
+  }
+
+  function removeMacro(id) {
+    const list = listMacros().filter(m => m.id !== id);
+    const store = getMacroStore();
+    if (store) store.set('items', list);
+    return list;
+  }
+
+  function resetMacros() {
+    const store = getMacroStore();
+    if (store) store.clear();
+  }
+
+  function macrosForListing(listing, macros) {
+    const list = Array.isArray(macros) ? macros : listMacros();
+    return list.filter(m => m && matchesWhere(m.where, listing || {}, 'macro:' + m.id));
+  }
+
+  function isListingField(listing, key) {
+    return !!listing && (Object.prototype.hasOwnProperty.call(listing, key) || !!fieldAliases[key]);
+  }
+
+  function macroInputSlots(macro, listing) {
+    return parseTemplateSlots(macro && macro.text).filter(slot => !isListingField(listing, slot));
+  }
+
+  function renderMacro(macro, listing, values) {
+    const vals = values || {};
+    return normText(String(macro.text || '').replace(/\{(\w+)\}/g, (all, key) => {
+      if (isListingField(listing, key)) return normText(readField(listing, key));
+      return normText(vals[key]);
+    }));
+  }
+
+  function insertMacro(macro, listing, values, doc) {
+    const text = renderMacro(macro, listing, values);
+    if (!text) return false;
+    const before = readField(listing, macro.target);
+    const current = String(before == null ? '' : before);
+    const after = current.trim() ? current.replace(/\s+$/, '') + '\n' + text : text;
+    return applyFix({ field: macro.target, before: current, after }, doc);
+  }
+
+  function attachMacroPicker(options = {}) {
+    const doc = options.doc || document;
+    const id = options.id != null ? String(options.id) : parseEditListingId(window.location);
+    if (!id) {
+      throw new Error('attachMacroPicker requires a listing edit page or id');
+    }
+    const dom = KOTN.dom;
+    const ui = KOTN.ui.createPanel({
+      id: 'listing-bible-macros',
+      title: 'Note Macros'
+    });
+    const showAll = dom.create('input', { type: 'checkbox' });
+    const list = dom.create('div');
+    ui.body.appendChild(dom.create('label', { style: { display: 'block', marginBottom: '4px' } }, [showAll, ' Show all macros']));
+    ui.body.appendChild(list);
+
+    function render() {
+      const listing = KOTN.listings.extractFromEdit(doc, id);
+      const macros = showAll.checked ? listMacros() : macrosForListing(listing);
+      list.textContent = '';
+      if (!macros.length) {
+        list.textContent = 'No macros match this item and package condition.';
+        return;
+      }
+      macros.forEach(macro => {
+        const inputs = macroInputSlots(macro, listing).map(slot => dom.create('input', {
+          type: 'text',
+          placeholder: slot,
+          style: { width: '100%', boxSizing: 'border-box', marginBottom: '2px' }
+        }));
+        const btn = dom.create('button', { type: 'button', textContent: 'Insert into ' + macro.target });
+        btn.addEventListener('click', () => {
+          const values = {};
+          inputs.forEach(el => {
+            values[el.placeholder] = el.value;
+          });
+          insertMacro(macro, KOTN.listings.extractFromEdit(doc, id), values, doc);
+        });
+        list.appendChild(dom.create('div', {
+          style: { borderTop: '1px solid #333', padding: '4px 0' }
+        }, [
+          dom.create('div', { textContent: macro.label || macro.id, style: { fontWeight: '600' } }),
+          dom.create('div', { textContent: macro.text, style: { color: '#aaa', margin: '2px 0' } })
+        ].concat(inputs, [btn])));
+      });
+    }
+
+    function onChange(ev) {
+      const target = ev.target;
+      if (!(target instanceof Element)) return;
+      if (target.matches('select[name="item_condition_id"], select[name="package_condition_id"]')) render();
+    }
+
+    showAll.addEventListener('change', render);
+    doc.addEventListener('change', onChange, true);
+    render();
+    return {
+      panel: ui,
+      refresh: render,
+      detach() {
+        doc.removeEventListener('change', onChange, true);
+        ui.panel.remove();
+      }
+    };
+  }
+
+  listingBible.macros = {
+    targets: noteTargets,
+    defaults: defaultNoteMacros,
+    list: listMacros,
+    save: saveMacro,
+    remove: removeMacro,
+    reset: resetMacros,
+    validate: validateMacro,
+    forListing: macrosForListing,
+    inputSlots: macroInputSlots,
+    render: renderMacro,
+    insert: insertMacro,
+    attachPicker: attachMacroPicker
+  };
+
+  // ============================================================
+  // Bible Import / Export
+  // ============================================================
+
+  const builtinBible = {
+    version: listingBible.version,
+    rules: listingBible.rules,
+    titleTemplates: listingBible.titleTemplates
+  };
+
+  const severities = ['error', 'warning'];
+  const patternRuleTypes = ['regexFound', 'regexNotFound'];
+  const numericRuleTypes = ['minLength', 'maxLength', 'min', 'max'];
+  const whereCombinators = ['all', 'any', 'not', 'field', 'flags'];
+
+  let bibleStore = null;
+
+  function getBibleStore() {
+    if (bibleStore) return bibleStore;
+    if (!hasStorage()) return null;
+    bibleStore = KOTN.state.createStore({ name: 'listing-bible:custom', scope: 'local' });
+    return bibleStore;
+  }
+
+  function checkPattern(pattern, flags) {
+    try {
+      new RegExp(String(pattern), flags || '');
+      return null;
+    } catch (err) {
+      return err && err.message ? err.message : String(err);
+    }
+  }
+
+  function validateWhere(where, prefix, errors) {
+    if (where == null) return;
+    if (Array.isArray(where)) {
+      where.forEach((w, i) => validateWhere(w, prefix + '[' + i + ']', errors));
+      return;
+    }
+    if (typeof where !== 'object') {
+      errors.push(prefix + ': where must be an object');
+      return;
+    }
+    Object.keys(where).forEach(key => {
+      if (key === 'all' || key === 'any') {
+        const list = Array.isArray(where[key]) ? where[key] : [where[key]];
+        list.forEach((w, i) => validateWhere(w, prefix + '.' + key + '[' + i + ']', errors));
+        return;
+      }
+      if (key === 'not') {
+        validateWhere(where.not, prefix + '.not', errors);
+        return;
+      }
+      if (whereCombinators.includes(key) || whereTests[key]) return;
+      if (!fieldOperators[key]) {
+        errors.push(prefix + ': unknown where condition "' + key + '"');
+        return;
+      }
+      if (!where.field) {
+        errors.push(prefix + ': where condition "' + key + '" needs a field');
+      }
+      if (key === 'matches') {
+        const problem = checkPattern(where.matches, where.flags == null ? 'i' : where.flags);
+        if (problem) errors.push(prefix + ': bad where pattern (' + problem + ')');
+      }
+    });
+  }
+
+  function validateBible(bible) {
+    const errors = [];
+    const warnings = [];
+    if (!bible || typeof bible !== 'object') {
+      return { ok: false, errors: ['Bible must be a JSON object'], warnings };
+    }
+    if (!normText(bible.version)) {
+      errors.push('Bible is missing a version');
+    }
+    if (!Array.isArray(bible.rules)) {
+      errors.push('Bible rules must be an array');
+      return { ok: false, errors, warnings };
+    }
+    const seen = new Set();
+    bible.rules.forEach((rule, i) => {
+      const label = 'rules[' + i + ']' + (rule && rule.id ? ' (' + rule.id + ')' : '');
+      if (!rule || typeof rule !== 'object') {
+        errors.push(label + ': rule must be an object');
+        return;
+      }
+      if (!normText(rule.id)) {
+        errors.push(label + ': missing id');
+      } else if (seen.has(rule.id)) {
+        errors.push(label + ': duplicate id');
+      } else {
+        seen.add(rule.id);
+      }
+      if (!normText(rule.field)) {
+        errors.push(label + ': missing field');
+      }
+      if (!ruleChecks[rule.type]) {
+        errors.push(label + ': unknown rule type "' + rule.type + '"');
+      }
+      if (!severities.includes(rule.severity)) {
+        errors.push(label + ': severity must be one of ' + severities.join(', '));
+      }
+      if (!normText(rule.message)) {
+        warnings.push(label + ': missing message');
+      }
+      if (patternRuleTypes.includes(rule.type)) {
+        if (rule.pattern == null || rule.pattern === '') {
+          errors.push(label + ': missing pattern');
+        } else {
+          const problem = checkPattern(rule.pattern, rule.flags);
+          if (problem) errors.push(label + ': bad pattern (' + problem + ')');
+        }
+      }
+      if (numericRuleTypes.includes(rule.type) && !Number.isFinite(Number(rule.value))) {
+        errors.push(label + ': value must be a number');
+      }
+      if (rule.type === 'enum' && (!Array.isArray(rule.values) || !rule.values.length)) {
+        errors.push(label + ': enum rules need a non-empty values array');
+      }
+      if (rule.kinds != null && KOTN.sizes) {
+        const kinds = Array.isArray(rule.kinds) ? rule.kinds : [rule.kinds];
+        kinds.filter(k => !KOTN.sizes.kinds.includes(k)).forEach(k => {
+          errors.push(label + ': unknown size kind "' + k + '"');
+        });
+      }
+      validateWhere(rule.where, label + ' where', errors);
+      if (rule.fix) {
+        if (!fixers[rule.fix.type]) {
+          errors.push(label + ': unknown fix type "' + rule.fix.type + '"');
+        } else if (rule.fix.pattern != null) {
+          const problem = checkPattern(rule.fix.pattern, rule.fix.flags);
+          if (problem) errors.push(label + ': bad fix pattern (' + problem + ')');
+        }
+      }
+      if (rule.examples != null) {
+        const ex = rule.examples;
+        if (typeof ex !== 'object' || ['pass', 'fail'].some(k => ex[k] != null && !Array.isArray(ex[k]))) {
+          errors.push(label + ': examples must have pass and fail arrays');
+        }
+      }
+      if (rule.exceptions != null && !Array.isArray(rule.exceptions)) {
+        errors.push(label + ': exceptions must be an array');
+      }
+    });
+    if (bible.titleTemplates != null) {
+      if (!Array.isArray(bible.titleTemplates)) {
+        errors.push('Bible titleTemplates must be an array');
+      } else {
+        const seenTemplates = new Set();
+        bible.titleTemplates.forEach((t, i) => {
+          const label = 'titleTemplates[' + i + ']' + (t && t.id ? ' (' + t.id + ')' : '');
+          if (!t || typeof t !== 'object') {
+            errors.push(label + ': template must be an object');
+            return;
+          }
+          if (!normText(t.id)) {
+            errors.push(label + ': missing id');
+          } else if (seenTemplates.has(t.id)) {
+            errors.push(label + ': duplicate id');
+          } else {
+            seenTemplates.add(t.id);
+          }
+          if (!parseTemplateSlots(t.template).length) {
+            errors.push(label + ': template needs at least one {slot}');
+          }
+          validateWhere(t.where, label + ' where', errors);
+        });
+      }
+    }
+    return { ok: !errors.length, errors, warnings };
+  }
+
+  function applyBible(bible) {
+    listingBible.version = String(bible.version);
+    listingBible.rules = bible.rules;
+    listingBible.titleTemplates = Array.isArray(bible.titleTemplates) ? bible.titleTemplates : builtinBible.titleTemplates;
+  }
+
+  function importBible(input, options = {}) {
+    let bible = input;
+    if (typeof input === 'string') {
+      try {
+        bible = JSON.parse(input);
+      } catch (err) {
+        return { ok: false, errors: ['Invalid JSON: ' + (err && err.message ? err.message : err)], warnings: [] };
+      }
+    }
+    const result = validateBible(bible);
+    if (!result.ok) return result;
+    const diff = diffBibles(exportBibleObject(), bible);
+    applyBible(bible);
+    if (options.persist !== false) {
+      const store = getBibleStore();
+      if (store) {
+        store.set('bible', { version: bible.version, rules: bible.rules, titleTemplates: bible.titleTemplates });
+        store.set('importedAt', new Date().toISOString());
+      }
+    }
+    return Object.assign({ diff }, result);
+  }
+
+  async function importBibleFile(file, options) {
+    if (!file) {
+      throw new Error('importBibleFile requires a file');
+    }
+    const text = await file.text();
+    return importBible(text, options);
+  }
+
+  function exportBibleObject() {
+    return {
+      version: listingBible.version,
+      rules: JSON.parse(JSON.stringify(listingBible.rules)),
+      titleTemplates: JSON.parse(JSON.stringify(listingBible.titleTemplates || []))
+    };
+  }
+
+  function exportBible() {
+    return JSON.stringify(exportBibleObject(), null, 2);
+  }
+
+  function downloadBible(filename) {
+    const name = filename || 'listing-bible-' + listingBible.version + '.json';
+    KOTN.csv.downloadTextFile(name, 'application/json;charset=utf-8;', exportBible());
+  }
+
+  function resetBible() {
+    const store = getBibleStore();
+    if (store) store.clear();
+    applyBible(builtinBible);
+  }
+
+  function stableStringify(value) {
+    if (Array.isArray(value)) {
+      return '[' + value.map(stableStringify).join(',') + ']';
+    }
+    if (value && typeof value === 'object') {
+      return '{' + Object.keys(value).sort().map(k => JSON.stringify(k) + ':' + stableStringify(value[k])).join(',') + '}';
+    }
+    return JSON.stringify(value);
+  }
+
+  function diffById(fromList, toList) {
+    const fromItems = new Map((Array.isArray(fromList) ? fromList : []).map(r => [r.id, r]));
+    const toItems = new Map((Array.isArray(toList) ? toList : []).map(r => [r.id, r]));
+    const added = [];
+    const removed = [];
+    const changed = [];
+    toItems.forEach((item, id) => {
+      if (!fromItems.has(id)) added.push(id);
+    });
+    fromItems.forEach((item, id) => {
+      if (!toItems.has(id)) {
+        removed.push(id);
+        return;
+      }
+      const next = toItems.get(id);
+      const keys = Array.from(new Set(Object.keys(item).concat(Object.keys(next))));
+      const fields = keys.filter(k => stableStringify(item[k]) !== stableStringify(next[k])).sort();
+      if (fields.length) {
+        changed.push({
+          id,
+          fields,
+          before: fields.reduce((acc, k) => Object.assign(acc, { [k]: item[k] }), {}),
+          after: fields.reduce((acc, k) => Object.assign(acc, { [k]: next[k] }), {})
+        });
+      }
+    });
+    return { added, removed, changed };
+  }
+
+  function diffBibles(from, to) {
+    const rules = diffById(from && from.rules, to && to.rules);
+    return {
+      fromVersion: from && from.version != null ? String(from.version) : '',
+      toVersion: to && to.version != null ? String(to.version) : '',
+      added: rules.added,
+      removed: rules.removed,
+      changed: rules.changed,
+      titleTemplates: diffById(from && from.titleTemplates, to && to.titleTemplates)
+    };
+  }
+
+  function loadStoredBible() {
+    const store = getBibleStore();
+    const stored = store ? store.get('bible', null) : null;
+    if (!stored) return false;
+    const result = validateBible(stored);
+    if (!result.ok) {
+      console.warn('[KOTN bible] stored bible is invalid, using built-in rules', result.errors);
+      return false;
+    }
+    applyBible(stored);
+    return true;
+  }
+
+  listingBible.builtin = builtinBible;
+  listingBible.validate = validateBible;
+  listingBible.import = importBible;
+  listingBible.importFile = importBibleFile;
+  listingBible.export = exportBible;
+  listingBible.download = downloadBible;
+  listingBible.reset = resetBible;
+  listingBible.diff = diffBibles;
+
+  // ============================================================
+  // Self-test
+  // ============================================================
+
+  function runRuleExamples(rule, options = {}) {
+    return withCategoryNodes(options.taxonomy || {}, () => checkRuleExamples(rule));
+  }
+
+  function checkRuleExamples(rule) {
+    const examples = rule && rule.examples ? rule.examples : {};
+    const mismatches = [];
+    let checked = 0;
+    ['pass', 'fail'].forEach(expected => {
+      const list = Array.isArray(examples[expected]) ? examples[expected] : [];
+      list.forEach((fragment, i) => {
+        checked += 1;
+        const listing = Object.assign({ id: rule.id + ':' + expected + ':' + i }, fragment);
+        const finding = evaluateRule(rule, listing);
+        const actual = finding ? 'fail' : 'pass';
+        if (actual !== expected) {
+          mismatches.push({
+            ruleId: rule.id,
+            expected,
+            actual,
+            index: i,
+            example: fragment,
+            finding
+          });
+        }
+      });
+    });
+    return { checked, mismatches };
+  }
+
+  function selfTest(options = {}) {
+    const rules = Array.isArray(options.rules) ? options.rules : listingBible.rules;
+    const mismatches = [];
+    const untested = [];
+    let checked = 0;
+    rules.forEach(rule => {
+      const examples = rule && rule.examples;
+      const hasPass = examples && Array.isArray(examples.pass) && examples.pass.length;
+      const hasFail = examples && Array.isArray(examples.fail) && examples.fail.length;
+      if (!hasPass || !hasFail) untested.push(rule.id);
+      const result = runRuleExamples(rule, { taxonomy: options.taxonomy });
+      checked += result.checked;
+      result.mismatches.forEach(m => mismatches.push(m));
+    });
+    const ok = !mismatches.length && (!options.requireExamples || !untested.length);
+    return {
+      ok,
+      version: listingBible.version,
+      rules: rules.length,
+      checked,
+      mismatches,
+      untested
+    };
+  }
+
+  listingBible.runRuleExamples = runRuleExamples;
+  listingBible.selfTest = selfTest;
+
+  // ============================================================
+  // Rule Authoring
+  // ============================================================
+
+  const maxSnapshots = 50;
+
+  let snapshotStore = null;
+
+  function getSnapshotStore() {
+    if (snapshotStore) return snapshotStore;
+    if (!hasStorage()) return null;
+    snapshotStore = KOTN.state.createStore({ name: 'listing-bible:snapshots', scope: 'local' });
+    return snapshotStore;
+  }
+
+  function listSnapshots() {
+    const store = getSnapshotStore();
+    if (!store) return [];
+    const raw = store.get('items', []);
+    return Array.isArray(raw) ? raw.slice() : [];
+  }
+
+  function saveSnapshot(listing) {
+    if (!listing || listing.id == null) {
+      throw new Error('saveSnapshot requires a listing with an id');
+    }
+    const store = getSnapshotStore();
+    if (!store) return [];
+    const id = String(listing.id);
+    let list = listSnapshots().filter(s => s && String(s.id) !== id);
+    list.push(Object.assign({}, listing, { id, snapshotAt: new Date().toISOString() }));
+    if (list.length > maxSnapshots) {
+      list = list.slice(list.length - maxSnapshots);
+    }
+    store.set('items', list);
+    return list;
+  }
+
+  function removeSnapshot(id) {
+    const store = getSnapshotStore();
+    if (!store) return;
+    store.set('items', listSnapshots().filter(s => s && String(s.id) !== String(id)));
+  }
+
+  function previewRule(rule, snapshots) {
+    const list = Array.isArray(snapshots) ? snapshots : listSnapshots();
+    const check = validateBible({ version: 'draft', rules: [rule] });
+    const results = list.map(listing => {
+      if (!check.ok) {
+        return { id: listing.id, title: listing.title || '', result: 'invalid', finding: null };
+      }
+      if (!ruleApplies(rule, listing)) {
+        return { id: listing.id, title: listing.title || '', result: 'skipped', finding: null };
+      }
+      const finding = evaluateRule(rule, listing);
+      return { id: listing.id, title: listing.title || '', result: finding ? 'fail' : 'pass', finding };
+    });
+    return {
+      ok: check.ok,
+      errors: check.errors,
+      warnings: check.warnings,
+      results
+    };
+  }
+
+  function upsertRule(rule) {
+    const rules = listingBible.rules.slice();
+    const idx = rules.findIndex(r => r && r.id === rule.id);
+    if (idx >= 0) {
+      rules[idx] = rule;
+    } else {
+      rules.push(rule);
+    }
+    return importBible({ version: listingBible.version, rules, titleTemplates: listingBible.titleTemplates });
+  }
+
+  function openRuleEditor(options = {}) {
+    const dom = KOTN.dom;
+    const ui = KOTN.ui.createPanel({
+      id: 'listing-bible-editor',
+      title: 'Bible Rule Editor'
+    });
+    const inputStyle = { width: '100%', boxSizing: 'border-box', marginBottom: '4px' };
+    const pick = dom.create('select', { style: inputStyle });
+    const idInput = dom.create('input', { type: 'text', placeholder: 'rule id', style: inputStyle });
+    const fieldInput = dom.create('input', { type: 'text', placeholder: 'field (e.g. title)', style: inputStyle });
+    const typeSelect = dom.create('select', { style: inputStyle }, Object.keys(ruleChecks).map(t => dom.create('option', { value: t, textContent: t })));
+    const patternInput = dom.create('input', { type: 'text', placeholder: 'pattern (regex types)', style: inputStyle });
+    const flagsInput = dom.create('input', { type: 'text', placeholder: 'flags', style: inputStyle });
+    const valueInput = dom.create('input', { type: 'text', placeholder: 'value (numbers) or values (enum, comma-separated)', style: inputStyle });
+    const severitySelect = dom.create('select', { style: inputStyle }, severities.map(s => dom.create('option', { value: s, textContent: s })));
+    const messageInput = dom.create('input', { type: 'text', placeholder: 'message', style: inputStyle });
+    const whereInput = dom.create('textarea', { placeholder: 'where (JSON)', rows: 4, style: inputStyle });
+    const problems = dom.create('div', { style: { color: '#ef5350', whiteSpace: 'pre-wrap' } });
+    const preview = dom.create('div', { style: { marginTop: '4px' } });
+    const snapBtn = dom.create('button', { type: 'button', textContent: 'Save page snapshot' });
+    const saveBtn = dom.create('button', { type: 'button', textContent: 'Save rule', style: { marginLeft: '4px' } });
+    const status = dom.create('div', { style: { margin: '4px 0', color: '#aaa' } });
+
+    function label(text, el) {
+      return dom.create('label', { style: { display: 'block' } }, [dom.create('div', { textContent: text }), el]);
+    }
+
+    [
+      label('Rule', pick),
+      label('Id', idInput),
+      label('Field', fieldInput),
+      label('Type', typeSelect),
+      label('Pattern', patternInput),
+      label('Flags', flagsInput),
+      label('Value', valueInput),
+      label('Severity', severitySelect),
+      label('Message', messageInput),
+      label('Where', whereInput),
+      problems,
+      dom.create('div', {}, [snapBtn, saveBtn]),
+      status,
+      preview
+    ].forEach(el => ui.body.appendChild(el));
+
+    function fillPicker() {
+      pick.textContent = '';
+      pick.appendChild(dom.create('option', { value: '', textContent: '(new rule)' }));
+      listingBible.rules.forEach(r => pick.appendChild(dom.create('option', { value: r.id, textContent: r.id })));
+    }
+
+    function loadRule(rule) {
+      const r = rule || {};
+      idInput.value = r.id || '';
+      fieldInput.value = r.field || '';
+      typeSelect.value = r.type || 'missing';
+      patternInput.value = r.pattern || '';
+      flagsInput.value = r.flags || '';
+      valueInput.value = r.type === 'enum' ? (r.values || []).join(', ') : (r.value == null ? '' : String(r.value));
+      severitySelect.value = r.severity || 'warning';
+      messageInput.value = r.message || '';
+      whereInput.value = r.where ? JSON.stringify(r.where, null, 2) : '';
+    }
+
+    function readDraft() {
+      const base = findRule(pick.value) || {};
+      const draft = Object.assign({}, base, {
+        id: dom.norm(idInput.value),
+        field: dom.norm(fieldInput.value),
+        type: typeSelect.value,
+        severity: severitySelect.value,
+        message: dom.norm(messageInput.value)
+      });
+      ['pattern', 'flags', 'value', 'values', 'where'].forEach(k => delete draft[k]);
+      if (patternRuleTypes.includes(draft.type)) {
+        draft.pattern = patternInput.value;
+        if (flagsInput.value) draft.flags = dom.norm(flagsInput.value);
+      }
+      if (draft.type === 'enum') {
+        draft.values = valueInput.value.split(',').map(v => dom.norm(v)).filter(Boolean);
+      } else if (numericRuleTypes.includes(draft.type)) {
+        draft.value = valueInput.value === '' ? NaN : Number(valueInput.value);
+      }
+      const whereText = whereInput.value.trim();
+      if (whereText) {
+        try {
+          draft.where = JSON.parse(whereText);
+        } catch (err) {
+          return { draft, parseError: 'Where is not valid JSON: ' + (err && err.message ? err.message : err) };
+        }
+      }
+      return { draft, parseError: null };
+    }
+
+    function idConflict(draft) {
+      if (!draft.id || draft.id === pick.value || !findRule(draft.id)) return null;
+      return 'Rule id ' + draft.id + ' already exists; pick it from the Rule list to edit it';
+    }
+
+    function refresh() {
+      const read = readDraft();
+      const result = previewRule(read.draft);
+      const conflict = idConflict(read.draft);
+      const errors = (read.parseError ? [read.parseError] : []).concat(conflict ? [conflict] : [], result.errors.filter(e => !/duplicate id/.test(e)));
+      problems.textContent = errors.join('\n');
+      saveBtn.disabled = !!errors.length;
+      preview.textContent = '';
+      if (!result.results.length) {
+        preview.textContent = 'No saved snapshots yet. Open listing edit pages and save snapshots to preview rules.';
+        return;
+      }
+      const counts = { pass: 0, fail: 0, skipped: 0, invalid: 0 };
+      result.results.forEach(r => {
+        counts[r.result] += 1;
+        const color = r.result === 'fail' ? '#ef5350' : (r.result === 'pass' ? '#81c784' : '#888');
+        const remove = dom.create('button', { type: 'button', textContent: '×', title: 'Remove snapshot', style: { marginLeft: '4px' } });
+        remove.addEventListener('click', () => {
+          removeSnapshot(r.id);
+          refresh();
+        });
+        preview.appendChild(dom.create('div', { style: { display: 'flex', justifyContent: 'space-between', gap: '6px' } }, [
+          dom.create('span', { textContent: r.id + ' ' + r.title, style: { overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' } }),
+          dom.create('span', {}, [dom.create('span', { textContent: r.result, style: { color } }), remove])
+        ]));
+      });
+      status.textContent = counts.fail + ' fail, ' + counts.pass + ' pass, ' + counts.skipped + ' not applicable';
+    }
+
+    pick.addEventListener('change', () => {
+      loadRule(findRule(pick.value));
+      refresh();
+    });
+    [idInput, fieldInput, patternInput, flagsInput, valueInput, messageInput, whereInput].forEach(el => el.addEventListener('input', refresh));
+    [typeSelect, severitySelect].forEach(el => el.addEventListener('change', refresh));
+    snapBtn.disabled = !parseEditListingId(window.location);
+    snapBtn.addEventListener('click', () => {
+      const id = parseEditListingId(window.location);
+      if (!id) return;
+      saveSnapshot(KOTN.listings.extractFromEdit(document, id));
+      refresh();
+    });
+    saveBtn.addEventListener('click', () => {
+      const read = readDraft();
+      if (read.parseError) return;
+      const conflict = idConflict(read.draft);
+      if (conflict) {
+        problems.textContent = conflict;
+        return;
+      }
+      const result = upsertRule(read.draft);
+      if (!result.ok) {
+        problems.textContent = result.errors.join('\n');
+        return;
+      }
+      fillPicker();
+      pick.value = read.draft.id;
+      status.textContent = 'Saved ' + read.draft.id + ' to bible ' + listingBible.version;
+    });
+
+    fillPicker();
+    if (options.ruleId) pick.value = options.ruleId;
+    loadRule(findRule(pick.value));
+    refresh();
+    return ui;
+  }
+
+  listingBible.snapshots = {
+    list: listSnapshots,
+    save: saveSnapshot,
+    remove: removeSnapshot
+  };
+  listingBible.previewRule = previewRule;
+  listingBible.upsertRule = upsertRule;
+  listingBible.openRuleEditor = openRuleEditor;
+
+  // ============================================================
+  // Bulk Audit
+  // ============================================================
+
+  const auditHeaders = [
+    'listingId',
+    'title',
+    'createdBy',
+    'auctionId',
+    'primaryCategory',
+    'ruleId',
+    'field',
+    'severity',
+    'status',
+    'message',
+    'value',
+    'waiverReason'
+  ];
+
+  function summarizeAuditByRule(results) {
+    const byRule = new Map();
+    (Array.isArray(results) ? results : []).forEach(r => {
+      if (!r || !Array.isArray(r.findings)) return;
+      r.findings.forEach(f => {
+        if (!byRule.has(f.ruleId)) {
+          byRule.set(f.ruleId, { ruleId: f.ruleId, severity: f.severity, open: 0, waived: 0 });
+        }
+        const entry = byRule.get(f.ruleId);
+        if (f.status === 'waived') {
+          entry.waived += 1;
+        } else {
+          entry.open += 1;
+        }
+      });
+    });
+    return Array.from(byRule.values()).sort((a, b) => b.open - a.open || a.ruleId.localeCompare(b.ruleId));
+  }
+
+  async function runAudit(url, options = {}) {
+    if (!url) {
+      throw new Error('runAudit requires an index url');
+    }
+    const concurrency = options.concurrency == null ? 2 : options.concurrency;
+    const timeoutMs = options.timeoutMs;
+    const onProgress = options.onProgress;
+    const ids = await KOTN.listings.collectIdsFromIndex(url, { timeoutMs });
+    if (onProgress) {
+      try {
+        onProgress({ phase: 'collected', completed: 0, total: ids.length });
+      } catch (err) {
+      }
+    }
+    const results = await KOTN.async.runWithConcurrency(ids, async id => {
+      try {
+        const listing = await KOTN.listings.loadFromEdit(id, { timeoutMs });
+        learnListingCategories(listing);
+        if (options.analyzeImages && KOTN.images) {
+          await KOTN.images.enrichListing(listing, options);
+        }
+        return {
+          id: String(id),
+          listing,
+          findings: evaluate(listing, options)
+        };
+      } catch (err) {
+        console.error('[KOTN bible audit] failed for listing ' + id, err);
+        return {
+          id: String(id),
+          listing: null,
+          findings: [],
+          error: err && err.message ? err.message : String(err)
+        };
+      }
+    }, {
+      concurrency,
+      onProgress(p) {
+        if (!onProgress) return;
+        try {
+          onProgress({ phase: 'evaluating', completed: p.completed, total: p.total });
+        } catch (err) {
+        }
+      }
+    });
+    const findings = [];
+    results.forEach(r => r.findings.forEach(f => findings.push(f)));
+    return {
+      url,
+      ids,
+      results,
+      findings,
+      failed: results.filter(r => r.error).map(r => r.id),
+      summary: summarize(findings),
+      byRule: summarizeAuditByRule(results)
+    };
+  }
+
+  function auditToRows(audit) {
+    const rows = [];
+    const results = audit && Array.isArray(audit.results) ? audit.results : [];
+    results.forEach(r => {
+      const listing = r.listing || {};
+      r.findings.forEach(f => {
+        rows.push({
+          listingId: f.listingId,
+          title: listing.title || '',
+          createdBy: listing.createdBy || '',
+          auctionId: listing.auctionId || '',
+          primaryCategory: listing.primaryCategory || '',
+          ruleId: f.ruleId,
+          field: f.field,
+          severity: f.severity,
+          status: f.status,
+          message: f.message,
+          value: f.value,
+          waiverReason: f.waiver ? f.waiver.reason || '' : ''
+        });
+      });
+    });
+    return rows;
+  }
+
+  function exportAuditCSV(audit, filename) {
+    const name = filename || 'listing-bible-audit-' + new Date().toISOString().slice(0, 10) + '.csv';
+    KOTN.csv.downloadCSV(name, auditToRows(audit), auditHeaders);
+  }
+
+  function openAuditPanel(options = {}) {
+    const dom = KOTN.dom;
+    const ui = KOTN.ui.createPanel({
+      id: 'listing-bible-audit',
+      title: 'Listing Bible Audit'
+    });
+    const urlInput = dom.create('input', {
+      type: 'text',
+      placeholder: 'Listings index URL',
+      value: options.url || window.location.href,
+      style: { width: '100%', marginBottom: '4px' }
+    });
+    const runBtn = dom.create('button', { type: 'button', textContent: 'Run audit' });
+    const exportBtn = dom.create('button', { type: 'button', textContent: 'Export CSV', disabled: true, style: { marginLeft: '4px' } });
+    const status = dom.create('div', { style: { margin: '4px 0' } });
+    const table = dom.create('div');
+    ui.body.appendChild(urlInput);
+    ui.body.appendChild(dom.create('div', {}, [runBtn, exportBtn]));
+    ui.body.appendChild(status);
+    ui.body.appendChild(table);
+    let lastAudit = null;
+
+    function renderSummary(audit) {
+      table.textContent = '';
+      const s = audit.summary;
+      status.textContent = audit.ids.length + ' listings, ' + s.errors + ' errors, ' + s.warnings + ' warnings, ' +
+        s.waived + ' waived' + (audit.failed.length ? ', ' + audit.failed.length + ' failed to load' : '');
+      audit.byRule.forEach(r => {
+        table.appendChild(dom.create('div', {
+          style: { display: 'flex', justifyContent: 'space-between', gap: '8px' }
+        }, [
+          dom.create('span', { textContent: r.ruleId, style: { color: r.severity === 'error' ? '#ef5350' : '#ffb74d' } }),
+          dom.create('span', { textContent: r.open + (r.waived ? ' (+' + r.waived + ' waived)' : '') })
+        ]));
+      });
+    }
+
+    runBtn.addEventListener('click', async () => {
+      const url = dom.norm(urlInput.value);
+      if (!url) return;
+      runBtn.disabled = true;
+      exportBtn.disabled = true;
+      table.textContent = '';
+      status.textContent = 'Collecting listing ids…';
+      try {
+        lastAudit = await runAudit(url, {
+          concurrency: options.concurrency,
+          onProgress(p) {
+            if (p.phase === 'evaluating') {
+              status.textContent = 'Evaluated ' + p.completed + ' / ' + p.total;
+            } else {
+              status.textContent = 'Found ' + p.total + ' listings';
+            }
+          }
+        });
+        renderSummary(lastAudit);
+        exportBtn.disabled = !lastAudit.findings.length;
+      } catch (err) {
+        console.error('[KOTN bible audit] audit failed', err);
+        status.textContent = 'Audit failed: ' + (err && err.message ? err.message : err);
+      } finally {
+        runBtn.disabled = false;
+      }
+    });
+    exportBtn.addEventListener('click', () => {
+      if (lastAudit) exportAuditCSV(lastAudit);
+    });
+    return ui;
+  }
+
+  listingBible.audit = {
+    headers: auditHeaders,
+    run: runAudit,
+    toRows: auditToRows,
+    exportCSV: exportAuditCSV,
+    summarizeByRule: summarizeAuditByRule,
+    openPanel: openAuditPanel
+  };
+
+  // ============================================================
+  // Lister Scorecards
+  // ============================================================
+
+  let scorecardStore = null;
+
+  function getScorecardStore() {
+    if (scorecardStore) return scorecardStore;
+    if (!hasStorage()) return null;
+    scorecardStore = KOTN.state.createStore({ name: 'listing-bible:scorecards', scope: 'local' });
+    return scorecardStore;
+  }
+
+  function scoreListers(results) {
+    const byLister = new Map();
+    (Array.isArray(results) ? results : []).forEach(r => {
+      if (!r || !r.listing) return;
+      const lister = normText(r.listing.createdBy) || '(unknown)';
+      if (!byLister.has(lister)) {
+        byLister.set(lister, { lister, listings: 0, errorListings: 0, warningListings: 0, findings: 0, ruleCounts: {} });
+      }
+      const entry = byLister.get(lister);
+      const open = openFindings(r.findings);
+      entry.listings += 1;
+      entry.findings += open.length;
+      if (open.some(f => f.severity === 'error')) entry.errorListings += 1;
+      if (open.some(f => f.severity !== 'error')) entry.warningListings += 1;
+      open.forEach(f => {
+        entry.ruleCounts[f.ruleId] = (entry.ruleCounts[f.ruleId] || 0) + 1;
+      });
+    });
+    return Array.from(byLister.values()).map(entry => {
+      let topRule = '';
+      let topRuleCount = 0;
+      Object.keys(entry.ruleCounts).forEach(ruleId => {
+        if (entry.ruleCounts[ruleId] > topRuleCount) {
+          topRule = ruleId;
+          topRuleCount = entry.ruleCounts[ruleId];
+        }
+      });
+      return Object.assign(entry, {
+        errorRate: entry.listings ? entry.errorListings / entry.listings : 0,
+        warningRate: entry.listings ? entry.warningListings / entry.listings : 0,
+        topRule,
+        topRuleCount
+      });
+    }).sort((a, b) => b.errorRate - a.errorRate || a.lister.localeCompare(b.lister));
+  }
+
+  function saveScorecards(scores, meta) {
+    const store = getScorecardStore();
+    if (!store) return;
+    store.set('last', Object.assign({ scores, savedAt: new Date().toISOString() }, meta || {}));
+  }
+
+  function readScorecards() {
+    const store = getScorecardStore();
+    const last = store ? store.get('last', null) : null;
+    return last && Array.isArray(last.scores) ? last : null;
+  }
+
+  function matchScoreToRow(row, scores) {
+    const name = normText(row.name).toLowerCase();
+    const staffId = String(row.staffId);
+    return scores.find(s => {
+      const lister = normText(s.lister).toLowerCase();
+      return lister === name || lister === staffId;
+    }) || null;
+  }
+
+  function formatPct(rate) {
+    return Math.round((Number(rate) || 0) * 100) + '%';
+  }
+
+  function applyScorecardBadges(scores, options = {}) {
+    const dom = KOTN.dom;
+    const stored = scores ? null : readScorecards();
+    const list = Array.isArray(scores) ? scores : (stored ? stored.scores : []);
+    const match = typeof options.match === 'function' ? options.match : matchScoreToRow;
+    dom.qsa('.kotn-compliance-badge').forEach(el => el.remove());
+    let matched = 0;
+    KOTN.listers.findDomRows().forEach(row => {
+      const score = match(row, list);
+      if (!score) return;
+      matched += 1;
+      if (window.getComputedStyle(row.tile).position === 'static') {
+        row.tile.style.position = 'relative';
+      }
+      const color = score.errorRate >= 0.25 ? '#c62828' : (score.errorRate > 0 ? '#b26a00' : '#2e7d32');
+      row.tile.appendChild(dom.create('div', {
+        className: 'kotn-compliance-badge',
+        textContent: 'Err ' + formatPct(score.errorRate) + ' · Warn ' + formatPct(score.warningRate),
+        title: score.listings + ' listings audited' + (score.topRule ? '\nMost frequent: ' + score.topRule + ' (' + score.topRuleCount + ')' : ''),
+        style: {
+          position: 'absolute',
+          top: '4px',
+          right: '4px',
+          background: color,
+          color: '#fff',
+          fontSize: '11px',
+          fontWeight: '600',
+          borderRadius: '8px',
+          padding: '1px 6px',
+          pointerEvents: 'auto',
+          zIndex: '2'
+        }
+      }));
+    });
+    return matched;
+  }
+
+  async function runScorecards(url, options = {}) {
+    const audit = await runAudit(url, options);
+    const scores = scoreListers(audit.results);
+    saveScorecards(scores, { url, listings: audit.ids.length });
+    const matched = options.render === false ? 0 : applyScorecardBadges(scores, options);
+    return { audit, scores, matched };
+  }
+
+  listingBible.scorecards = {
+    score: scoreListers,
+    save: saveScorecards,
+    read: readScorecards,
+    applyBadges: applyScorecardBadges,
+    run: runScorecards
+  };
+
+  loadStoredBible();
+
   KOTN.listingBible = listingBible;
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = listingBible;
+  }
 })();
@@ -0,0 +1,115 @@
+// KOTN Self-Test Runner
+// Usage: node kotn-selftest.js
+// Exits non-zero when a bible rule example or a helper check fails.
+
+(function () {
+  'use strict';
+
+  const KOTN = require('./kotn-core-utils.js');
+  const listingBible = require('./kotn-listing-bible.js');
+
+  // ============================================================
+  // Helper Checks
+  // ============================================================
+
+  const checks = [
+    {
+      name: 'min/max rules skip absent values',
+      run() {
+        return ['min', 'max'].every(type => {
+          const rule = {
+            id: 'selftest-' + type,
+            field: 'count',
+            type,
+            value: 3,
+            examples: {
+              pass: [{}, { count: '' }, { count: null }, { count: 3 }],
+              fail: [{ count: type === 'min' ? 1 : 5 }]
+            }
+          };
+          return listingBible.runRuleExamples(rule).mismatches.length === 0;
+        });
+      }
+    },
+    {
+      name: 'apparel rules match by category id when the taxonomy knows the listing',
+      run() {
+        const taxonomy = {
+          10: { id: '10', name: 'Adult apparel & shoes', parentId: null },
+          11: { id: '11', name: 'Tops', parentId: '10' },
+          20: { id: '20', name: 'Home & kitchen', parentId: null }
+        };
+        const rule = Object.assign({}, listingBible.rules.find(r => r.id === 'adult-apparel-size-missing'), {
+          examples: {
+            pass: [{ categoryIdsJson: '[20]', primaryCategory: 'Adult apparel & shoes', title: 'Cotton bed sheet set' }],
+            fail: [
+              { categoryIdsJson: '[10,11]', primaryCategory: 'Apparel', secondaryCategory: 'Tops', title: 'Nike running shirt blue' },
+              { categoryIdsJson: '[99]', primaryCategory: 'Adult apparel & shoes', title: 'Nike running shirt blue' }
+            ]
+          }
+        });
+        return listingBible.runRuleExamples(rule, { taxonomy }).mismatches.length === 0 && listingBible.selfTest({ taxonomy }).ok;
+      }
+    },
+    {
+      name: 'spelled-out letter sizes match in any case',
+      run() {
+        return ['Blue shirt medium', 'Blue shirt Medium', 'Blue shirt MEDIUM'].every(t => KOTN.sizes.normalize(t) === 'M');
+      }
+    },
+    {
+      name: 'month ranges parse as kids sizes',
+      run() {
+        const token = KOTN.sizes.last('Onesie 6-12M');
+        return !!token && token.kind === 'kids' && token.normalized === '6-12M';
+      }
+    },
+    {
+      name: 'letter size codes stay case-sensitive',
+      run() {
+        return !KOTN.sizes.has('men shirt m') && !KOTN.sizes.has('basic tee s') && KOTN.sizes.normalize('Tee S') === 'S';
+      }
+    },
+    {
+      name: 'bare digit plus M/W needs shoe context or a size label',
+      run() {
+        return !KOTN.sizes.has('3M Scotch tape 2 pack') &&
+          !KOTN.sizes.has('LED bulb 5W warm white') &&
+          KOTN.sizes.normalize('Nike running sneakers 10M') === 'M 10' &&
+          KOTN.sizes.normalize('Nike Air Max size 9.5W') === 'W 9.5';
+      }
+    }
+  ];
+
+  function runChecks() {
+    const failures = [];
+    checks.forEach(check => {
+      try {
+        if (check.run() !== true) failures.push({ name: check.name, error: null });
+      } catch (err) {
+        failures.push({ name: check.name, error: err });
+      }
+    });
+    return failures;
+  }
+
+  // ============================================================
+  // Runner
+  // ============================================================
+
+  const result = listingBible.selfTest({ requireExamples: true });
+  result.mismatches.forEach(m => {
+    console.error('[KOTN selftest] ' + m.ruleId + ' example ' + m.expected + '[' + m.index + '] gave ' + m.actual + ': ' + JSON.stringify(m.example));
+  });
+  result.untested.forEach(id => {
+    console.error('[KOTN selftest] ' + id + ' needs both pass and fail examples');
+  });
+
+  const failures = runChecks();
+  failures.forEach(f => {
+    console.error('[KOTN selftest] check failed: ' + f.name + (f.error ? ' (' + f.error.message + ')' : ''));
+  });
+
+  console.log('[KOTN selftest] bible ' + result.version + ': ' + result.rules + ' rules, ' + result.checked + ' examples, ' + result.mismatches.length + ' mismatches; ' + checks.length + ' checks, ' + failures.length + ' failed');
+  if (!result.ok || failures.length) process.exitCode = 1;
+})();